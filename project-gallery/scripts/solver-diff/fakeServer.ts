@@ -0,0 +1,60 @@
+// a stand-in for the Flask term solver: same routes, same request parsing, same replies
+
+import { createServer, IncomingMessage, Server } from 'http';
+import { AddressInfo } from 'net';
+
+import { FlaskReply, solveApi } from './flaskSolver';
+
+const readBody = (request: IncomingMessage) => new Promise<string>((resolve, reject) => {
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => resolve(body));
+  request.on('error', reject);
+});
+
+// request.get_json(silent=True) yields None for anything that is not a JSON object body
+const jsonTerm = (body: string): unknown => {
+  try {
+    const parsed = JSON.parse(body);
+    return parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed.term : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+const route = async (request: IncomingMessage): Promise<FlaskReply> => {
+  const url = new URL(request.url ?? '/', 'http://localhost');
+  if (url.pathname === '/health' && request.method === 'GET') {
+    return { status: 200, contentType: 'text/html; charset=utf-8', body: 'ok' };
+  }
+  if (url.pathname === '/solve' && request.method === 'GET') {
+    return solveApi(url.searchParams.get('term'));
+  }
+  if (url.pathname === '/solve' && request.method === 'POST') {
+    return solveApi(jsonTerm(await readBody(request)));
+  }
+  return { status: 404, contentType: 'text/html; charset=utf-8', body: 'Not Found' };
+}
+
+// listens on a free port of the loopback interface and resolves with its base URL
+export const startFakeServer = () => new Promise<{ server: Server, url: string }>((resolve, reject) => {
+  const server = createServer((request, response) => {
+    route(request)
+      .then(reply => {
+        response.writeHead(reply.status, { 'Content-Type': reply.contentType });
+        response.end(reply.body);
+      })
+      .catch(error => {
+        response.writeHead(500, { 'Content-Type': 'text/plain' });
+        response.end(String(error));
+      });
+  });
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address() as AddressInfo;
+    resolve({ server, url: `http://127.0.0.1:${port}` });
+  });
+});
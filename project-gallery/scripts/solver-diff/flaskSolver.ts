@@ -0,0 +1,57 @@
+// a line by line port of solve_term from src/app/projects/py/term_solver/term_solver.py, validate_term is shared with the local fallback
+// keep both in step with the Python file, the harness is only as good as these copies
+
+import { validateTerm } from '../../src/lib/services/fallback';
+
+export interface FlaskReply {
+  status: number;
+  contentType: string;
+  body: string;
+}
+
+// what Python raises for the malformed intermediate terms solve_term can build
+class PythonError extends Error {}
+
+const error = (status: number, body: object): FlaskReply => ({
+  status,
+  contentType: 'application/json',
+  body: JSON.stringify(body),
+});
+
+const pythonInt = (text: string) => {
+  if (!/^\d+$/.test(text)) {
+    throw new PythonError(`invalid literal for int() with base 10: '${text}'`);
+  }
+  return BigInt(text);
+}
+
+export const solveTerm = (term: string): string => {
+  let total = BigInt(0);
+  for (const summand of term.split('+')) {
+    let product = BigInt(1);
+    for (const factor of summand.split('*')) {
+      product *= pythonInt(factor);
+    }
+    total += product;
+  }
+  return String(total);
+}
+
+// solveAPI after the term has been read from the query or the JSON body
+export const solveApi = (term: unknown): FlaskReply => {
+  if (!term) {
+    return error(400, { error: { code: 'MISSING_TERM', message: 'No term provided' } });
+  }
+  const invalid = validateTerm(String(term));
+  if (invalid) {
+    return error(400, invalid.toJSON());
+  }
+  try {
+    return { status: 200, contentType: 'text/html; charset=utf-8', body: solveTerm(String(term)) };
+  } catch (caught) {
+    if (caught instanceof PythonError) {
+      return error(500, { error: { code: 'INTERNAL_ERROR', message: caught.message } });
+    }
+    throw caught;
+  }
+}
@@ -0,0 +1,175 @@
+// differential check of the TypeScript solver against the /solve contract of the Flask term solver
+//
+//   npm run test:differential -- --runs 500 --seed 42 --max-operators 6
+//   npm run test:differential -- --url http://127.0.0.1:5000
+//
+// without --url the terms go to a fake server that reproduces term_solver.py, so it runs offline
+// every term, and a list of known tricky ones, also has its printed derivation steps read back
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+import { services } from '../../src/lib/services/descriptors';
+import { listOperations, operationToDescriptor, parseOpenApi, ResponseSchemas, validateResponse } from '../../src/lib/services/openapi';
+import { buildRequest, executeRequest, HttpMethod, ServiceResponse } from '../../src/lib/services/request';
+import { solve, SolverError } from '../../src/lib/solver';
+import { startFakeServer } from './fakeServer';
+import { checkSteps, STEP_CASES } from './steps';
+import { createRandom, generateTerm, shrink } from './terms';
+
+interface Options {
+  runs: number;
+  seed: number;
+  maxOperators: number;
+  url?: string;
+}
+
+interface Mismatch {
+  term: string;
+  method: HttpMethod;
+  expected: string;
+  response?: ServiceResponse;
+  problems: string[];
+}
+
+interface Finding {
+  mismatch: Mismatch;
+  original: string;
+  count: number;
+}
+
+const parseOptions = (args: string[]): Options => {
+  const options: Options = { runs: 200, seed: Date.now() % 100_000, maxOperators: 6 };
+  for (let index = 0; index < args.length; index += 2) {
+    const [flag, value] = [args[index], args[index + 1]];
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+    if (flag === '--url') {
+      options.url = value.replace(/\/$/, '');
+    } else if (flag === '--runs' || flag === '--seed' || flag === '--max-operators') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${flag} needs a positive whole number`);
+      }
+      options[flag === '--max-operators' ? 'maxOperators' : flag === '--runs' ? 'runs' : 'seed'] = number;
+    } else {
+      throw new Error(`Unknown option ${flag}`);
+    }
+  }
+  return options;
+}
+
+// the declared responses of both /solve operations, so every reply is checked against the spec as well
+const loadContract = () => {
+  const document = parseOpenApi(readFileSync(join(process.cwd(), 'public/openapi/term-solver.yaml'), 'utf8'));
+  const contract: Partial<Record<HttpMethod, ResponseSchemas>> = {};
+  listOperations(document).forEach(operation => {
+    contract[operation.method] = operationToDescriptor(document, operation, services['term-solver']).responses;
+  });
+  return contract;
+}
+
+// what the JavaScript solver says, written the way the Flask service answers
+const expectedAnswer = (term: string) => {
+  try {
+    return String(solve(term).result);
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return `${error.code}: ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+const createCheck = (url: string, contract: Partial<Record<HttpMethod, ResponseSchemas>>) => (
+  async (term: string, method: HttpMethod): Promise<Mismatch | undefined> => {
+    const expected = expectedAnswer(term);
+    const problems: string[] = [];
+    let response: ServiceResponse | undefined;
+    try {
+      response = await executeRequest(buildRequest(`${url}/solve`, method, { term }));
+      problems.push(...(validateResponse(contract[method], response) ?? []).map(violation => `contract: ${violation}`));
+      if (response.status !== 200) {
+        problems.push(`status ${response.status} instead of 200`);
+      } else if (response.body.trim() !== expected) {
+        problems.push(`result ${response.body.trim()} instead of ${expected}`);
+      }
+    } catch (error) {
+      problems.push(`request failed: ${error}`);
+    }
+    return problems.length > 0 ? { term, method, expected, response, problems } : undefined;
+  }
+);
+
+// mismatches failing the same way are one finding, however many terms hit it
+const signature = (mismatch: Mismatch) => (mismatch.response
+  ? `${mismatch.response.status} ${mismatch.response.status === 200 ? 'wrong result' : mismatch.response.body.trim()}`
+  : mismatch.problems.join('\n'));
+
+// shorter first, then smaller digits
+const simpler = (a: string, b: string) => a.length - b.length || a.localeCompare(b);
+
+const report = ({ mismatch, original, count }: Finding) => {
+  console.log(`  ${mismatch.method} ${mismatch.term}   (${count} ${count === 1 ? 'term' : 'terms'}, e.g. ${original})`);
+  console.log(`    js:      ${mismatch.expected}`);
+  console.log(`    service: ${mismatch.response ? `${mismatch.response.status} ${mismatch.response.body.trim()}` : 'no response'}`);
+  mismatch.problems.forEach(problem => console.log(`    - ${problem}`));
+}
+
+const main = async () => {
+  const options = parseOptions(process.argv.slice(2));
+  const fake = options.url ? undefined : await startFakeServer();
+  const url = options.url ?? fake!.url;
+  const check = createCheck(url, loadContract());
+  const random = createRandom(options.seed);
+
+  console.log(`${options.runs} terms, seed ${options.seed}, against ${fake ? `the fake term_solver.py at ${url}` : url}`);
+
+  let failures = 0;
+  const findings = new Map<string, Finding>();
+  const stepProblems = STEP_CASES.flatMap(checkSteps);
+  try {
+    for (let run = 0; run < options.runs; run++) {
+      const term = generateTerm(random, options.maxOperators);
+      stepProblems.push(...checkSteps(term));
+      const method: HttpMethod = random() < 0.5 ? 'GET' : 'POST';
+      if (!await check(term, method)) {
+        continue;
+      }
+      failures++;
+      const smallest = await shrink(term, async candidate => (await check(candidate, method)) !== undefined);
+      const mismatch = (await check(smallest, method))!;
+      const key = signature(mismatch);
+      const known = findings.get(key);
+      if (!known) {
+        findings.set(key, { mismatch, original: term, count: 1 });
+      } else {
+        known.count++;
+        if (simpler(smallest, known.mismatch.term) < 0) {
+          Object.assign(known, { mismatch, original: term });
+        }
+      }
+    }
+  } finally {
+    fake?.server.close();
+  }
+
+  if (stepProblems.length > 0) {
+    console.log(`${stepProblems.length} derivation steps do not read back as printed:`);
+    stepProblems.forEach(problem => console.log(`  ${problem}`));
+    process.exitCode = 1;
+  }
+  if (failures === 0) {
+    console.log('no mismatches');
+    return;
+  }
+  console.log(`${failures} mismatches in ${findings.size} ${findings.size === 1 ? 'kind' : 'kinds'}, smallest counterexample of each:`);
+  findings.forEach(report);
+  process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 2;
+});
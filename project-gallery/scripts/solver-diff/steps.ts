@@ -0,0 +1,48 @@
+// printed derivation steps have to read back as the same term: solving a step again must continue with the same reductions
+// they also must not put a minus sign right after an operator, 1-(2-3)*4 once printed its second step as 1--1*4
+
+import { solve, SolverError } from '../../src/lib/solver';
+
+// terms whose reductions leave negative numbers or looser operations where parentheses used to be
+export const STEP_CASES = [
+  '1-(2-3)*4',
+  '2*(3-5)^2',
+  '(1-3)/(2-4)',
+  '6/(1-3)',
+  '2^(1-2)',
+  '10-(2-5)-(1-4)',
+  '(2-5)*(1-4)',
+  '(2-3)-1',
+  '2^3^(1-2)',
+  '1/3*(1-2)',
+];
+
+const reductions = (term: string) => solve(term).steps.map(step => step.subexpression);
+
+const DOUBLE_SIGN = /[-+*/^]-/;
+
+export const checkSteps = (term: string): string[] => {
+  let steps;
+  try {
+    steps = solve(term).steps;
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return [];
+    }
+    throw error;
+  }
+  return steps.flatMap((step, index) => {
+    if (DOUBLE_SIGN.test(step.after)) {
+      return [`${term}: step ${step.after} needs parentheses around a negative number`];
+    }
+    const expected = steps.slice(index + 1).map(next => next.subexpression);
+    try {
+      const actual = reductions(step.after);
+      return actual.join(', ') === expected.join(', ')
+        ? []
+        : [`${term}: step ${step.after} continues with ${actual.join(', ') || 'nothing'} instead of ${expected.join(', ') || 'nothing'}`];
+    } catch (error) {
+      return [`${term}: step ${step.after} does not parse: ${error instanceof Error ? error.message : error}`];
+    }
+  });
+}
@@ -0,0 +1,65 @@
+// random terms in the grammar both solvers share: single digits joined by '+' and '*'
+
+export type Random = () => number;
+
+// mulberry32, small and seedable so a failing run can be repeated
+export const createRandom = (seed: number): Random => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const pick = <T>(random: Random, items: readonly T[]) => items[Math.floor(random() * items.length)];
+
+const DIGITS = [...'0123456789'];
+const OPERATORS = ['+', '*'] as const;
+
+// at least one operator, since the Flask contract rejects a bare digit
+export const generateTerm = (random: Random, maxOperators: number) => {
+  const operators = 1 + Math.floor(random() * maxOperators);
+  let term = pick(random, DIGITS);
+  for (let i = 0; i < operators; i++) {
+    term += pick(random, OPERATORS) + pick(random, DIGITS);
+  }
+  return term;
+}
+
+// smaller terms that are still well formed: fewer operators first, then smaller digits, then '+' for '*'
+const candidates = function* (term: string) {
+  for (let index = 1; index < term.length && term.length > 3; index += 2) {
+    yield term.slice(0, index) + term.slice(index + 2);
+    yield term.slice(0, index - 1) + term.slice(index + 1);
+  }
+  for (let index = 0; index < term.length; index += 2) {
+    for (let digit = 0; digit < Number(term[index]); digit++) {
+      yield term.slice(0, index) + digit + term.slice(index + 1);
+    }
+  }
+  for (let index = 1; index < term.length; index += 2) {
+    if (term[index] === '*') {
+      yield `${term.slice(0, index)}+${term.slice(index + 1)}`;
+    }
+  }
+}
+
+// greedy shrinking: keeps the first smaller term that still fails until none does
+export const shrink = async (term: string, fails: (candidate: string) => Promise<boolean>) => {
+  let smallest = term;
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const candidate of candidates(smallest)) {
+      if (await fails(candidate)) {
+        smallest = candidate;
+        progress = true;
+        break;
+      }
+    }
+  }
+  return smallest;
+}
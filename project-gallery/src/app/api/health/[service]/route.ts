@@ -0,0 +1,19 @@
+import { checkHealth, HEALTH_CACHE_MS } from '../../../../lib/services/health';
+import { proxyError, resolveService } from '../../../../lib/services/proxy';
+
+type RouteContext = {
+  params: Promise<{ service: string }>
+};
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(_request: Request, { params }: RouteContext) {
+  const { service: serviceId } = await params;
+  const service = resolveService(serviceId);
+  if (!service) {
+    return proxyError('UNKNOWN_SERVICE', `There is no service called ${serviceId}`);
+  }
+  return Response.json(await checkHealth(service), {
+    headers: { 'Cache-Control': `max-age=${HEALTH_CACHE_MS / 1000}` },
+  });
+}
@@ -0,0 +1,20 @@
+import { proxyRequest } from '../../../../../lib/services/proxy';
+
+type RouteContext = {
+  params: Promise<{ service: string, path: string[] }>
+};
+
+const handler = async (request: Request, { params }: RouteContext) => {
+  const { service, path } = await params;
+  return proxyRequest(request, service, path);
+}
+
+export const dynamic = 'force-dynamic';
+
+export {
+  handler as GET,
+  handler as POST,
+  handler as PUT,
+  handler as PATCH,
+  handler as DELETE,
+};
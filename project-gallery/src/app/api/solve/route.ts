@@ -0,0 +1,16 @@
+import { solveRequest } from '../../../lib/solver/api';
+
+const reply = (term: unknown, mode?: unknown, scope?: unknown) => {
+  const { status, body } = solveRequest(term, mode, scope);
+  return Response.json(body, { status });
+}
+
+export async function GET(request: Request) {
+  const params = new URL(request.url).searchParams;
+  return reply(params.get('term'), params.get('mode') ?? undefined);
+}
+
+export async function POST(request: Request) {
+  const body = await request.json().catch(() => undefined);
+  return reply(body?.term, body?.mode, body?.scope);
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+import Image from 'next/image'
+import { notFound } from 'next/navigation';
+
+import HomeNavbar from '../../../components/home/HomeNavbar';
+import HomeFooter from '../../../components/home/HomeFooter';
+import ProjectLink from '../../../components/home/ProjectLink';
+import ProjectViewer from '../../../components/projects/ProjectViewer';
+import { getProject, projects } from '../../../lib/projects';
+
+import '../../../app/styles/globals.css';
+
+type ProjectPageProps = {
+  params: Promise<{ slug: string }>
+};
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return projects.map(project => ({ slug: project.slug }));
+}
+
+export async function generateMetadata({ params }: ProjectPageProps) {
+  const project = getProject((await params).slug);
+  return { title: project?.title };
+}
+
+async function ProjectPage({ params }: ProjectPageProps) {
+  const project = getProject((await params).slug);
+  if (!project) {
+    notFound();
+  }
+
+  return (
+    <>
+      <HomeNavbar />
+      <hr/>
+      <header>
+        <h1>{project.title}</h1>
+        <p><span className={`status status-${project.status}`}>{project.status}</span></p>
+      </header>
+      <main className="project-detail">
+        <p>{project.longDescription}</p>
+        <h2>Tech Stack</h2>
+        <ul>
+          {project.techStack.map(tech => <li key={tech}>{tech}</li>)}
+        </ul>
+        {project.screenshots.length > 0 && (
+          <>
+            <h2>Screenshots</h2>
+            {project.screenshots.map(screenshot => (
+              <Image key={screenshot.src} src={screenshot.src} alt={screenshot.alt} width={640} height={360}/>
+            ))}
+          </>
+        )}
+        <p>
+          <ProjectLink project={project}>Demo</ProjectLink>
+          {project.repoUrl && <a href={project.repoUrl}>Repository</a>}
+        </p>
+        <ProjectViewer project={project}/>
+      </main>
+      <hr/>
+      <HomeFooter />
+    </>
+  );
+}
+export default ProjectPage;
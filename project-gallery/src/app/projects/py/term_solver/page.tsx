@@ -3,15 +3,43 @@ import React from 'react';
 import HomeNavbar from '../../../../components/home/HomeNavbar';
 import DefaultServiceViewer from '../../../../components/projects/DefaultServiceViewer';
 import HomeFooter from '../../../../components/home/HomeFooter';
+import TermSolverViewer from '../../../../components/solver/TermSolverViewer';
+import { services } from '../../../../lib/services/descriptors';
+import { describeSolverLink, parseSolverLink } from '../../../../lib/solverLink';
 
 import '../../../../app/styles/globals.css';
 
-function TermSolverPage() {
+type TermSolverPageProps = {
+  searchParams: Promise<Record<string, string | string[] | undefined>>
+};
+
+const readLink = async (searchParams: TermSolverPageProps['searchParams']) => {
+  const params = new URLSearchParams();
+  Object.entries(await searchParams).forEach(([key, value]) => {
+    if (typeof value === 'string') {
+      params.set(key, value);
+    }
+  });
+  return parseSolverLink(params);
+}
+
+// shared links carry their result in the preview
+export async function generateMetadata({ searchParams }: TermSolverPageProps) {
+  const summary = describeSolverLink(await readLink(searchParams));
+  const title = summary ? `Term Solver: ${summary}` : 'Term Solver';
+  const description = summary ?? 'Evaluate terms and solve equations step by step.';
+  return { title, description, openGraph: { title, description } };
+}
+
+async function TermSolverPage({ searchParams }: TermSolverPageProps) {
+  const link = await readLink(searchParams);
+
   return (
     <>
       <HomeNavbar />
       <hr/>
-      <DefaultServiceViewer/>
+      <TermSolverViewer initialTerm={link.term} initialMode={link.mode} syncUrl/>
+      <DefaultServiceViewer service={services['term-solver']}/>
       <hr/>
       <HomeFooter />
     </>
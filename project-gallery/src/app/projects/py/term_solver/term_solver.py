@@ -1,46 +1,77 @@
 from flask import Flask
 from flask import request
-from flask_cors import CORS
 
 # flask --app term_solver.py run
+# the Next.js app proxies requests through /api/services/term-solver, so no CORS is needed
 
 app = Flask(__name__)
-cors = CORS(app, origins="http://localhost:3000")
 
 app.secret_key = '12345678'
 
-@app.route('/solve', methods=['POST'])
+@app.route('/health')
+def healthAPI():
+    return "ok"
+
+class TermError(Exception):
+    def __init__(self, code, message, offset, length=1, expected=None):
+        super().__init__(message)
+        self.code = code
+        self.message = message
+        self.offset = offset
+        self.length = length
+        self.expected = expected
+
+    def to_json(self):
+        return {"error": {
+            "code": self.code,
+            "message": self.message,
+            "offset": self.offset,
+            "length": self.length,
+            "expected": self.expected,
+        }}
+
+
+@app.route('/solve', methods=['GET', 'POST'])
 def solveAPI():
-    term = request.json['term']
+    if request.method == 'GET':
+        term = request.args.get('term')
+    else:
+        term = (request.get_json(silent=True) or {}).get('term')
     if not term:
-        return "No term provided", 400
+        return {"error": {"code": "MISSING_TERM", "message": "No term provided"}}, 400
+    try:
+        validate_term(str(term))
+    except TermError as e:
+        return e.to_json(), 400
     try:
         result = solve_term(str(term))
         return str(result)
     except Exception as e:
-        return str(e), 500
+        return {"error": {"code": "INTERNAL_ERROR", "message": str(e)}}, 500
+
 
+# solve_term reads single digits joined by + and *, anything else is rejected up front
+def validate_term(term):
+    for offset, char in enumerate(term):
+        expect_digit = offset % 2 == 0
+        if expect_digit and not char.isdigit():
+            raise TermError("UNEXPECTED_TOKEN", f'Expected digit but found "{char}"', offset, 1, ["digit"])
+        if not expect_digit and char not in "+*":
+            expected = ['"+"', '"*"']
+            raise TermError("UNEXPECTED_TOKEN", f'Expected "+" or "*" but found "{char}"', offset, 1, expected)
+    if len(term) % 2 == 0:
+        raise TermError("UNEXPECTED_END", "Expected digit but found end of input", len(term), 0, ["digit"])
+    if len(term) < 3:
+        raise TermError("UNEXPECTED_END", 'Expected "+" or "*" but found end of input', len(term), 0, ['"+"', '"*"'])
 
+
+# * binds tighter than +, so the term is a sum of products
+# splitting it keeps intermediate results out of the text, they can have more than one digit
 def solve_term(term):
-    number = int(term[0])
-    operator = term[1]
-    number2 = int(term[2])
-
-    if len(term) == 3:
-        if(operator == "+"):
-            return str(number + number2)
-        else:
-            print("res: " + str(number * number2))
-            return str(number * number2)
-    elif operator != "*":
-        return solve_term(str(number) + "+" + str(solve_term(term[2:])))
-    else:
-        result = number * number2
-        return str(solve_term(str(result) + term[3:]))
-
-@app.after_request
-def add_cors_headers(response):
-    response.headers["Access-Control-Allow-Origin"] = "*"
-    response.headers["Access-Control-Allow-Methods"] = "GET, POST, PUT, DELETE, OPTIONS"
-    response.headers["Access-Control-Allow-Headers"] = "Content-Type"
-    return response
+    total = 0
+    for summand in term.split("+"):
+        product = 1
+        for factor in summand.split("*"):
+            product *= int(factor)
+        total += product
+    return str(total)
@@ -1,10 +1,15 @@
 import React from 'react';
 import Link from 'next/link'
 
+import { projects } from '../../lib/projects';
+
 const HomeNavbar = () => {
   return (
     <nav>
         <Link href="/">Projects</Link>
+        {projects.filter(project => project.route).map(project => (
+          <Link key={project.slug} href={project.route!}>{project.title}</Link>
+        ))}
         <Link href="/about">About Me</Link>
     </nav>
   );
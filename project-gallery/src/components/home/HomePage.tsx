@@ -1,5 +1,6 @@
-import React from 'react';
-import Link from 'next/link'
+import React, { Suspense } from 'react';
+
+import ProjectBrowser from './ProjectBrowser';
 
 const HomePage = () => {
   return (
@@ -9,13 +10,9 @@ const HomePage = () => {
       </header>
       <main>
         <p>Welcome to my simple React home page! This is a basic example of a React project.</p>
-        <ul>
-          <li><a href="https://linus-kronenberger.github.io/learning_presentations/">learning_presentations</a></li>
-          <li><Link href="/projects/py/term_solver">Python Term Solver</Link></li>
-          <li><Link href="">AI Hub</Link></li>
-          <li><Link href="">Spring Fiori</Link></li>
-          <li><a href="/ui5/dist/index.html">UI 5 Project</a></li>
-        </ul>
+        <Suspense>
+          <ProjectBrowser/>
+        </Suspense>
       </main>
     </>
   );
@@ -0,0 +1,94 @@
+'use client'
+
+import React, { useEffect, useRef, useState } from 'react';
+import { usePathname, useRouter, useSearchParams } from 'next/navigation';
+
+import { projects, PROJECT_TAGS, ProjectTag } from '../../lib/projects';
+import { filterProjects, parseFilter, ProjectFilter, serializeFilter, SORT_MODES, SortMode } from '../../lib/projectFilters';
+import ProjectCard from './ProjectCard';
+
+// typing only reaches the URL once it pauses for this long
+const SEARCH_DEBOUNCE_MS = 300;
+
+const ProjectBrowser = () => {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const filter = parseFilter(new URLSearchParams(searchParams.toString()));
+  // the search input runs ahead of the URL, so keystrokes never wait for a navigation
+  const [query, setQuery] = useState(filter.query);
+  const pending = useRef<ReturnType<typeof setTimeout>>(undefined);
+  // the query this component last put into the URL, so its own navigations are not read back into the input
+  const written = useRef(filter.query);
+
+  const update = (changes: Partial<ProjectFilter>) => {
+    // an update carries the current query, so a search still waiting would only overwrite it
+    clearTimeout(pending.current);
+    const next = { ...filter, query, ...changes };
+    written.current = next.query;
+    const serialized = serializeFilter(next);
+    router.replace(serialized ? `${pathname}?${serialized}` : pathname, { scroll: false });
+  }
+
+  // back and forward navigation change the URL under the input, a navigation of our own may land after newer typing
+  useEffect(() => {
+    if (filter.query !== written.current) {
+      written.current = filter.query;
+      setQuery(filter.query);
+    }
+  }, [filter.query]);
+
+  useEffect(() => () => clearTimeout(pending.current), []);
+
+  const search = (value: string) => {
+    setQuery(value);
+    clearTimeout(pending.current);
+    pending.current = setTimeout(() => update({ query: value }), SEARCH_DEBOUNCE_MS);
+  }
+
+  const toggleTag = (tag: ProjectTag) => {
+    const tags = filter.tags.includes(tag) ? filter.tags.filter(t => t !== tag) : [...filter.tags, tag];
+    update({ tags });
+  }
+
+  const visible = filterProjects(projects, { ...filter, query });
+
+  return (
+    <>
+      <div className="project-filters">
+        <input
+          type="search"
+          placeholder="Search projects"
+          aria-label="Search projects"
+          value={query}
+          onChange={event => search(event.target.value)}
+        />
+        <select aria-label="Sort by" value={filter.sort} onChange={event => update({ sort: event.target.value as SortMode })}>
+          {SORT_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+        </select>
+        <div>
+          {PROJECT_TAGS.map(tag => (
+            <button
+              key={tag}
+              type="button"
+              className={filter.tags.includes(tag) ? 'tag tag-active' : 'tag'}
+              aria-pressed={filter.tags.includes(tag)}
+              onClick={() => toggleTag(tag)}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      </div>
+      {visible.length > 0
+        ? (
+          <ul className="project-list">
+            {visible.map(project => <ProjectCard key={project.slug} project={project}/>)}
+          </ul>
+        )
+        : <p>No projects match the current filters.</p>}
+    </>
+  );
+}
+
+export default ProjectBrowser;
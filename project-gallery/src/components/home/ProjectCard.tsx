@@ -0,0 +1,33 @@
+'use client'
+
+import React from 'react';
+import Image from 'next/image'
+import Link from 'next/link'
+
+import { Project } from '../../lib/projects';
+import { services } from '../../lib/services/descriptors';
+import HealthBadge from '../projects/HealthBadge';
+import useServiceHealth from '../projects/useServiceHealth';
+import ProjectLink from './ProjectLink';
+
+const ProjectCard = ({ project }: { project: Project }) => {
+  const health = useServiceHealth(project.services?.find(serviceId => services[serviceId].health));
+
+  return (
+    <li className="project-card">
+      <Image src={project.preview.src} alt={project.preview.alt} width={48} height={48}/>
+      <div>
+        <h2><Link href={`/projects/${project.slug}`}>{project.title}</Link></h2>
+        <p>{project.description}</p>
+        <p>
+          <span className={`status status-${project.status}`}>{project.status}</span>
+          <HealthBadge report={health}/>
+          {project.tags.map(tag => <span key={tag} className="tag">{tag}</span>)}
+          <ProjectLink project={project}>Open</ProjectLink>
+        </p>
+      </div>
+    </li>
+  );
+}
+
+export default ProjectCard;
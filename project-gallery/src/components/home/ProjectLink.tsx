@@ -0,0 +1,17 @@
+import React from 'react';
+import Link from 'next/link'
+
+import { Project } from '../../lib/projects';
+
+// links to the running project, or renders nothing when there is none yet
+const ProjectLink = ({ project, children }: { project: Project, children: React.ReactNode }) => {
+  if (project.route) {
+    return <Link href={project.route}>{children}</Link>;
+  }
+  if (project.url) {
+    return <a href={project.url}>{children}</a>;
+  }
+  return null;
+}
+
+export default ProjectLink;
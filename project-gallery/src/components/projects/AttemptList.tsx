@@ -0,0 +1,24 @@
+import React from 'react';
+
+import { Attempt } from '../../lib/services/request';
+
+// the tries behind one response, open when there was more than one
+const AttemptList = ({ attempts }: { attempts?: Attempt[] }) => {
+  if (!attempts || attempts.length === 0) {
+    return null;
+  }
+  return (
+    <details className="attempt-list" open={attempts.length > 1}>
+      <summary>{attempts.length === 1 ? '1 attempt' : `${attempts.length} attempts`}</summary>
+      <ol>
+        {attempts.map(attempt => (
+          <li key={attempt.number} className={attempt.error || (attempt.status ?? 0) >= 500 ? 'status-error' : undefined}>
+            {attempt.error ?? attempt.status}, {attempt.latency} ms
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default AttemptList;
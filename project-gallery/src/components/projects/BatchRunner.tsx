@@ -0,0 +1,164 @@
+'use client'
+
+import React, { useRef, useState } from 'react';
+
+import { downloadBlob } from '../../lib/download';
+import {
+  BatchFormat,
+  BatchRow,
+  batchToCsv,
+  batchToJson,
+  DEFAULT_CONCURRENCY,
+  isBatchFormat,
+  MAX_BATCH_ROWS,
+  MAX_CONCURRENCY,
+  parseBatch,
+  cancelQueued,
+  runPool,
+  runRow,
+} from '../../lib/services/batch';
+import { ServiceDescriptor } from '../../lib/services/descriptors';
+import { HttpMethod, ServiceRequest, ServiceResponse } from '../../lib/services/request';
+
+type BatchRunnerProps = {
+  service: ServiceDescriptor;
+  disabled?: boolean;
+  // sends one request, through the local fallback where the viewer is set up for it; Stop aborts signal
+  send?: (request: ServiceRequest, signal?: AbortSignal) => Promise<ServiceResponse>;
+};
+
+const PREVIEW_LENGTH = 80;
+
+const preview = (body: string) => (body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH)}…` : body);
+
+// sends one request per line or CSV record, with a limit on how many are in flight
+const BatchRunner = ({ service, disabled = false, send }: BatchRunnerProps) => {
+  const [text, setText] = useState('');
+  const [format, setFormat] = useState<BatchFormat>('lines');
+  const [method, setMethod] = useState<HttpMethod>(service.methods[0]);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const [rows, setRows] = useState<BatchRow[]>([]);
+  const [running, setRunning] = useState(false);
+  const controller = useRef<AbortController>(undefined);
+
+  const updateRow = (index: number, row: BatchRow) => {
+    setRows(current => current.map((existing, position) => (position === index ? row : existing)));
+  }
+
+  const handleRun = async (event: React.FormEvent) => {
+    event.preventDefault();
+    const parsed = parseBatch(service, text, format);
+    setRows(parsed);
+    const abort = new AbortController();
+    controller.current = abort;
+    const { signal } = abort;
+    setRunning(true);
+    await runPool(parsed.length, concurrency, async index => {
+      const row = parsed[index];
+      if (row.status !== 'queued') {
+        return;
+      }
+      updateRow(index, { ...row, status: 'running' });
+      updateRow(index, await runRow(service, method, row, send, signal));
+    }, signal);
+    if (signal.aborted) {
+      setRows(cancelQueued);
+    }
+    setRunning(false);
+  }
+
+  const handleUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    if (file) {
+      setText(await file.text());
+      setFormat('csv');
+    }
+  }
+
+  const finished = rows.filter(row => row.status !== 'queued' && row.status !== 'running').length;
+  const failed = rows.filter(row => row.status === 'error' || row.status === 'invalid').length;
+  const cancelled = rows.filter(row => row.status === 'cancelled').length;
+
+  return (
+    <section className="batch-runner">
+      <form onSubmit={handleRun}>
+        <fieldset>
+          <legend>{service.title}: batch</legend>
+          <label>
+            {format === 'csv' ? 'CSV, optionally with a header row naming the fields' : `One ${service.fields[0].label.toLowerCase()} per line`}
+            <textarea rows={8} value={text} onChange={event => setText(event.target.value)}/>
+          </label>
+          <label>
+            Upload CSV{' '}
+            <input type="file" accept=".csv,text/csv" onChange={handleUpload}/>
+          </label>
+          <div className="batch-options">
+            <select aria-label="Input format" value={format} onChange={event => isBatchFormat(event.target.value) && setFormat(event.target.value)}>
+              <option value="lines">Lines</option>
+              <option value="csv">CSV</option>
+            </select>
+            <select aria-label="Method" value={method} onChange={event => setMethod(event.target.value as HttpMethod)}>
+              {service.methods.map(method => <option key={method} value={method}>{method}</option>)}
+            </select>
+            <label>
+              Parallel requests{' '}
+              <input
+                type="number"
+                min={1}
+                max={MAX_CONCURRENCY}
+                value={concurrency}
+                onChange={event => setConcurrency(Math.min(Math.max(event.target.valueAsNumber || 1, 1), MAX_CONCURRENCY))}
+              />
+            </label>
+            {running
+              ? <button type="button" onClick={() => controller.current?.abort()}>Stop</button>
+              : <button type="submit" disabled={disabled || text.trim() === ''}>Run batch</button>}
+          </div>
+          <small>At most {MAX_BATCH_ROWS} rows per batch.</small>
+        </fieldset>
+      </form>
+      {rows.length > 0 && (
+        <>
+          <p role="status">
+            {finished} of {rows.length} done{failed > 0 && `, ${failed} failed`}{cancelled > 0 && `, ${cancelled} cancelled`}
+            {' '}
+            <button type="button" disabled={running} onClick={() => downloadBlob(new Blob([batchToCsv(service, rows)], { type: 'text/csv' }), `${service.id}-batch.csv`)}>
+              Download CSV
+            </button>
+            <button type="button" disabled={running} onClick={() => downloadBlob(new Blob([batchToJson(rows)], { type: 'application/json' }), `${service.id}-batch.json`)}>
+              Download JSON
+            </button>
+          </p>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                {service.fields.map(field => <th key={field.name}>{field.label}</th>)}
+                <th>Status</th>
+                <th>Latency</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.line} className={`batch-${row.status}`}>
+                  <td>{row.line}</td>
+                  {service.fields.map(field => <td key={field.name}><code>{row.values[field.name]}</code></td>)}
+                  <td>{row.response ? `${row.status} (${row.response.status})` : row.status}</td>
+                  <td>{row.response && `${row.response.latency} ms${row.response.local ? ', local' : ''}`}</td>
+                  <td>
+                    {row.errors
+                      ? Object.values(row.errors).join('; ')
+                      : row.error ?? (row.response && <code>{preview(row.response.body)}</code>)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default BatchRunner;
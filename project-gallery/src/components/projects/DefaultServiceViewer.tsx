@@ -1,52 +1,245 @@
 // props for api management
-//default service 
+// renders a request form for any service descriptor
 
 'use client'
 
-const handleSubmit = (event: React.SyntheticEvent) => {
-  event.preventDefault();
-  
-  const form = event.target;
-
-  if (!(form instanceof HTMLFormElement)) {
-    console.error('Form not found');
-    return;
-  }
-  const term = form.term.value;
-  const method = form.method;
-
-  fetch('http://127.0.0.1:5000/solve', {
-    method: method,
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({"term": term})
-  })
-  .then(response => response.text())
-  .then(data => {
-    console.log('Success:', data);
-    alert(`Result: ${data}`);
-  })
-  .catch((error) => {
-    console.error('Error:', error);
-    alert(`Error: ${error}`);
-  });
-}
+import React, { useEffect, useRef, useState } from 'react';
+
+import { historyKey, ServiceDescriptor } from '../../lib/services/descriptors';
+import { BackendMode, hasFallback, isBackendMode, loadBackendMode, saveBackendMode, sendRequest } from '../../lib/services/fallback';
+import { validateResponse } from '../../lib/services/openapi';
+import { createEntry, HistoryEntry, loadHistory, saveHistory } from '../../lib/services/history';
+import {
+  Attempt,
+  DEFAULT_POLICY,
+  ExecuteOptions,
+  executeWithPolicy,
+  HttpMethod,
+  MAX_RETRIES,
+  MAX_TIMEOUT_MS,
+  readPayload,
+  RequestPolicy,
+  ServiceRequest,
+} from '../../lib/services/request';
+import { FieldErrors, fromPayload, toRequest, validateValues } from '../../lib/services/validation';
+import BatchRunner from './BatchRunner';
+import HealthBadge from './HealthBadge';
+import RequestHistory from './RequestHistory';
+import ResponsePanel from './ResponsePanel';
+import ServiceField from './ServiceField';
+import SnippetDrawer from './SnippetDrawer';
+import useServiceHealth from './useServiceHealth';
+
+type ViewerTab = 'request' | 'batch';
+
+const BACKEND_MODE_LABELS: Record<BackendMode, string> = {
+  auto: 'Backend, local when unreachable',
+  remote: 'Backend only',
+  local: 'Local only',
+};
+
+const DefaultServiceViewer = ({ service }: { service: ServiceDescriptor }) => {
+  const [tab, setTab] = useState<ViewerTab>('request');
+  const [values, setValues] = useState<Record<string, string>>({});
+  const [method, setMethod] = useState<HttpMethod>(service.methods[0]);
+  const [errors, setErrors] = useState<FieldErrors>({});
+  const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [current, setCurrent] = useState<HistoryEntry>();
+  // the response of the request in flight, while its body streams in
+  const [live, setLive] = useState<HistoryEntry>();
+  const [pending, setPending] = useState(false);
+  const [backendMode, setBackendMode] = useState<BackendMode>('auto');
+  const [policy, setPolicy] = useState<RequestPolicy>(DEFAULT_POLICY);
+  const controller = useRef<AbortController>(undefined);
+  const health = useServiceHealth(service.health ? service.id : undefined);
+  const offline = health?.status === 'offline';
+  const fallback = hasFallback(service) && backendMode !== 'remote';
+
+  const storageKey = historyKey(service);
+
+  useEffect(() => {
+    setHistory(loadHistory(storageKey));
+  }, [storageKey]);
+
+  useEffect(() => {
+    setBackendMode(loadBackendMode(service.id));
+  }, [service.id]);
+
+  const changeBackendMode = (mode: BackendMode) => {
+    setBackendMode(mode);
+    saveBackendMode(service.id, mode);
+  }
+
+  // every request of the viewer, the batch ones included, runs under the timeout and retry policy
+  const dispatch = (request: ServiceRequest, options: ExecuteOptions = {}) => (
+    sendRequest(service, request, backendMode, {
+      offline,
+      signal: options.signal,
+      execute: next => executeWithPolicy(next, policy, options),
+    })
+  );
+
+  const updateHistory = (update: (entries: HistoryEntry[]) => HistoryEntry[]) => {
+    setHistory(entries => {
+      const next = update(entries);
+      saveHistory(storageKey, next);
+      return next;
+    });
+  }
+
+  const send = async (request: ServiceRequest) => {
+    const abort = new AbortController();
+    controller.current = abort;
+    const attempts: Attempt[] = [];
+    const draft = createEntry(request, {});
+    setPending(true);
+    let entry: HistoryEntry;
+    try {
+      const response = await dispatch(request, {
+        signal: abort.signal,
+        onAttempt: attempt => attempts.push(attempt),
+        onProgress: partial => setLive({ ...draft, response: partial, attempts: [...attempts] }),
+      });
+      entry = { ...draft, response, attempts };
+    } catch (error) {
+      entry = { ...draft, error: abort.signal.aborted ? 'Cancelled' : String(error), attempts };
+    }
+    setPending(false);
+    setLive(undefined);
+    setCurrent(entry);
+    updateHistory(entries => [entry, ...entries]);
+  }
+
+  const handleSubmit = (event: React.SyntheticEvent) => {
+    event.preventDefault();
+
+    const fieldErrors = validateValues(service, values);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      return;
+    }
+
+    send(toRequest(service, method, values));
+  }
+
+  const handleChange = (name: string, value: string) => {
+    setValues(previous => ({ ...previous, [name]: value }));
+    setErrors(previous => {
+      const next = { ...previous };
+      delete next[name];
+      return next;
+    });
+  }
+
+  // a pasted cURL command fills in the fields it sets and keeps the others
+  const handleImport = (request: ServiceRequest) => {
+    if (!service.methods.includes(request.method)) {
+      throw new Error(`${service.title} takes ${service.methods.join(' or ')}, not ${request.method}`);
+    }
+    const imported = fromPayload(service, readPayload(request));
+    if (Object.keys(imported).length === 0) {
+      throw new Error(`The command sets none of the fields of ${service.title}`);
+    }
+    setMethod(request.method);
+    setValues(previous => ({ ...previous, ...imported }));
+    setErrors({});
+  }
+
+  const handleDelete = (deleted: HistoryEntry) => {
+    updateHistory(entries => entries.filter(entry => entry.id !== deleted.id));
+    if (current?.id === deleted.id) {
+      setCurrent(undefined);
+    }
+  }
+
+  const tabs = (
+    <div role="tablist" className="viewer-tabs">
+      {(['request', 'batch'] as const).map(name => (
+        <button key={name} type="button" role="tab" aria-selected={tab === name} onClick={() => setTab(name)}>
+          {name === 'request' ? 'Request' : 'Batch'}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (tab === 'batch') {
+    return (
+      <>
+        {tabs}
+        <BatchRunner service={service} disabled={offline && !fallback} send={(request, signal) => dispatch(request, { signal })}/>
+      </>
+    );
+  }
 
-const DefaultServiceViewer = () => {
   return (
     <>
-        <form onSubmit={handleSubmit} method="post" action="http://localhost:5000/solve">
+        {tabs}
+        <form onSubmit={handleSubmit} noValidate>
           <fieldset>
-            <legend>Default Service Viewer</legend>
-            <input name="term" placeholder="Enter your Term"/>
-            <select>
-              <option value="POST">POST</option>
-              <option value="GET">GET</option>
+            <legend>{service.title} <HealthBadge report={health}/></legend>
+            {service.fields.map(field => (
+              <ServiceField
+                key={field.name}
+                field={field}
+                value={values[field.name] ?? ''}
+                error={errors[field.name]}
+                onChange={value => handleChange(field.name, value)}
+              />
+            ))}
+            <select name="method" aria-label="Method" value={method} onChange={event => setMethod(event.target.value as HttpMethod)}>
+              {service.methods.map(method => <option key={method} value={method}>{method}</option>)}
             </select>
-            <input type="submit"/>
+            {hasFallback(service) && (
+              <select aria-label="Backend" value={backendMode} onChange={event => isBackendMode(event.target.value) && changeBackendMode(event.target.value)}>
+                {Object.entries(BACKEND_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+              </select>
+            )}
+            <div className="request-policy">
+              <label>
+                Timeout (s){' '}
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_TIMEOUT_MS / 1000}
+                  value={policy.timeout / 1000}
+                  onChange={event => setPolicy(previous => ({
+                    ...previous,
+                    timeout: Math.min(Math.max(event.target.valueAsNumber || 1, 1), MAX_TIMEOUT_MS / 1000) * 1000,
+                  }))}
+                />
+              </label>
+              <label title="Only GET requests are retried, with a growing pause between the attempts">
+                GET retries{' '}
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_RETRIES}
+                  value={policy.retries}
+                  onChange={event => setPolicy(previous => ({
+                    ...previous,
+                    retries: Math.min(Math.max(Math.round(event.target.valueAsNumber) || 0, 0), MAX_RETRIES),
+                  }))}
+                />
+              </label>
+            </div>
+            {pending
+              ? <button type="button" onClick={() => controller.current?.abort()}>{live ? 'Stop' : 'Cancel'}</button>
+              : <input type="submit" disabled={offline && !fallback}/>}
+            {offline && (fallback
+              ? <p role="status">{service.title} is offline: {health.message}. Requests are computed locally.</p>
+              : <p role="status" className="status-error">{service.title} is offline: {health.message}. Start the backend to send requests.</p>)}
           </fieldset>
         </form>
+        <SnippetDrawer request={toRequest(service, method, values)} onImport={handleImport}/>
+        {live
+          ? <ResponsePanel entry={live} live/>
+          : <ResponsePanel entry={current} violations={current?.response && validateResponse(service.responses, current.response)}/>}
+        <RequestHistory
+          entries={history}
+          onSelect={setCurrent}
+          onReplay={entry => send(entry.request)}
+          onDelete={handleDelete}
+        />
     </>
   );
 }
@@ -0,0 +1,17 @@
+import React from 'react';
+
+import { HealthReport } from '../../lib/services/healthStatus';
+
+const HealthBadge = ({ report }: { report?: HealthReport }) => {
+  if (!report || report.status === 'unknown') {
+    return null;
+  }
+  const details = [report.message, report.latency !== undefined && `${report.latency} ms`].filter(Boolean).join(', ');
+  return (
+    <span className={`status health-${report.status}`} title={details || undefined}>
+      {report.status}
+    </span>
+  );
+}
+
+export default HealthBadge;
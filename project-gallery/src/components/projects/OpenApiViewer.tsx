@@ -0,0 +1,72 @@
+'use client'
+
+import React, { useEffect, useState } from 'react';
+
+import { ServiceDescriptor } from '../../lib/services/descriptors';
+import { listOperations, OpenApiDocument, operationToDescriptor, parseOpenApi } from '../../lib/services/openapi';
+import DefaultServiceViewer from './DefaultServiceViewer';
+
+type OpenApiViewerProps = {
+  service: ServiceDescriptor;
+  // raw JSON or YAML, takes precedence over service.openapi
+  document?: string;
+};
+
+// lists the operations of an OpenAPI document and renders a generated form for the selected one
+const OpenApiViewer = ({ service, document: source }: OpenApiViewerProps) => {
+  const [document, setDocument] = useState<OpenApiDocument>();
+  const [error, setError] = useState<string>();
+  const [selected, setSelected] = useState<string>();
+
+  useEffect(() => {
+    const load = async () => {
+      if (source) {
+        return source;
+      }
+      if (!service.openapi) {
+        throw new Error('Service has no OpenAPI document');
+      }
+      const response = await fetch(service.openapi);
+      if (!response.ok) {
+        throw new Error(`Could not load ${service.openapi}: ${response.status}`);
+      }
+      return response.text();
+    }
+
+    load()
+      .then(text => setDocument(parseOpenApi(text)))
+      .catch(error => setError(String(error)));
+  }, [service.openapi, source]);
+
+  if (error) {
+    return <p role="alert" className="status-error">{error}</p>;
+  }
+  if (!document) {
+    return <p>Loading API description…</p>;
+  }
+
+  const operations = listOperations(document);
+  const operation = operations.find(operation => operation.id === selected) ?? operations[0];
+  if (!operation) {
+    return <p>{document.info.title} declares no operations.</p>;
+  }
+  const descriptor = operationToDescriptor(document, operation, service);
+
+  return (
+    <section className="openapi-viewer">
+      <label>
+        {document.info.title} operation{' '}
+        <select value={operation.id} onChange={event => setSelected(event.target.value)}>
+          {operations.map(operation => (
+            <option key={operation.id} value={operation.id}>
+              {operation.method} {operation.path} – {operation.summary}
+            </option>
+          ))}
+        </select>
+      </label>
+      <DefaultServiceViewer key={operation.id} service={descriptor}/>
+    </section>
+  );
+}
+
+export default OpenApiViewer;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+import { Project } from '../../lib/projects';
+import { ServiceId, services } from '../../lib/services/descriptors';
+import TermSolverViewer from '../solver/TermSolverViewer';
+import DefaultServiceViewer from './DefaultServiceViewer';
+import OpenApiViewer from './OpenApiViewer';
+
+const ServiceViewer = ({ serviceId }: { serviceId: ServiceId }) => {
+  const service = services[serviceId];
+  return service.openapi ? <OpenApiViewer service={service}/> : <DefaultServiceViewer service={service}/>;
+}
+
+// renders the viewer declared in the registry
+const ProjectViewer = ({ project }: { project: Project }) => {
+  const serviceViewers = (project.services ?? []).map(serviceId => <ServiceViewer key={serviceId} serviceId={serviceId}/>);
+
+  switch (project.viewer) {
+    case 'service':
+      return serviceViewers;
+    case 'term-solver':
+      return (
+        <>
+          <TermSolverViewer/>
+          {serviceViewers}
+        </>
+      );
+    case 'ui5':
+      return <iframe src="/ui5/dist/index.html" title={project.title} className="project-frame"/>;
+    default:
+      return null;
+  }
+}
+
+export default ProjectViewer;
@@ -0,0 +1,38 @@
+import React from 'react';
+
+import { HistoryEntry } from '../../lib/services/history';
+
+type RequestHistoryProps = {
+  entries: HistoryEntry[];
+  onSelect: (entry: HistoryEntry) => void;
+  onReplay: (entry: HistoryEntry) => void;
+  onDelete: (entry: HistoryEntry) => void;
+};
+
+const RequestHistory = ({ entries, onSelect, onReplay, onDelete }: RequestHistoryProps) => {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="request-history">
+      <h2>History</h2>
+      <ol>
+        {entries.map(entry => (
+          <li key={entry.id}>
+            <button type="button" className="history-summary" onClick={() => onSelect(entry)}>
+              <span>{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span>{entry.request.method}</span>
+              <code>{entry.request.body ?? entry.request.url}</code>
+              <span>{entry.error ? 'error' : entry.response?.status}{entry.response?.local && ' local'}</span>
+            </button>
+            <button type="button" onClick={() => onReplay(entry)}>Replay</button>
+            <button type="button" onClick={() => onDelete(entry)}>Delete</button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
+
+export default RequestHistory;
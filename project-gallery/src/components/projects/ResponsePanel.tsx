@@ -0,0 +1,78 @@
+import React from 'react';
+
+import { HistoryEntry } from '../../lib/services/history';
+import { formatBody } from '../../lib/services/request';
+import { isEventStream, parseEventStream, streamText } from '../../lib/services/stream';
+import AttemptList from './AttemptList';
+
+type ResponsePanelProps = {
+  entry?: HistoryEntry;
+  // schema violations, undefined when the service declares no schema
+  violations?: string[];
+  // the body is still arriving
+  live?: boolean;
+};
+
+const ResponsePanel = ({ entry, violations, live = false }: ResponsePanelProps) => {
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.error) {
+    return (
+      <section className="response-panel response-error">
+        <h2>Error</h2>
+        <AttemptList attempts={entry.attempts}/>
+        <pre>{entry.error}</pre>
+      </section>
+    );
+  }
+
+  const response = entry.response!;
+  const events = isEventStream(response) ? parseEventStream(response.body) : undefined;
+  return (
+    <section className="response-panel">
+      <h2>
+        <span className={response.status < 400 ? 'status status-live' : 'status status-error'}>
+          {response.status} {response.statusText}
+        </span>
+        <span>{response.latency} ms</span>
+        {response.firstByte !== undefined && <span>first byte after {response.firstByte} ms</span>}
+        {live && <span className="status status-in-progress">receiving</span>}
+        {response.stopped && <span className="status status-error" title="The request was stopped before the body was complete">stopped</span>}
+        {response.local && <span className="status status-local" title="The backend could not be reached or is switched off">computed locally</span>}
+      </h2>
+      <AttemptList attempts={entry.attempts}/>
+      <details>
+        <summary>Headers ({response.headers.length})</summary>
+        <table>
+          <tbody>
+            {response.headers.map(([name, value]) => (
+              <tr key={name}><th>{name}</th><td>{value}</td></tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+      {violations && (violations.length === 0
+        ? <p className="status status-live">Response matches the schema</p>
+        : (
+          <ul className="status-error">
+            {violations.map(violation => <li key={violation}>{violation}</li>)}
+          </ul>
+        ))}
+      {events
+        ? (
+          <>
+            <pre aria-live="polite">{streamText(events)}</pre>
+            <details>
+              <summary>Events ({events.length})</summary>
+              <pre>{response.body}</pre>
+            </details>
+          </>
+        )
+        : <pre aria-live={live ? 'polite' : undefined}>{live ? response.body : formatBody(response.body)}</pre>}
+    </section>
+  );
+}
+
+export default ResponsePanel;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+import { ServiceField as ServiceFieldDescriptor } from '../../lib/services/descriptors';
+
+type ServiceFieldProps = {
+  field: ServiceFieldDescriptor;
+  value: string;
+  error?: string;
+  onChange: (value: string) => void;
+};
+
+const ServiceField = ({ field, value, error, onChange }: ServiceFieldProps) => {
+  const inputProps = {
+    id: `field-${field.name}`,
+    name: field.name,
+    placeholder: field.placeholder,
+    required: field.required,
+    maxLength: field.maxLength,
+    value,
+    'aria-invalid': error ? true : undefined,
+    'aria-describedby': error ? `field-${field.name}-error` : undefined,
+  };
+
+  return (
+    <div className="service-field">
+      <label htmlFor={inputProps.id}>{field.label}</label>
+      {field.type === 'textarea'
+        ? <textarea {...inputProps} onChange={event => onChange(event.target.value)}/>
+        : (
+          <input
+            {...inputProps}
+            type={field.type}
+            min={field.min}
+            max={field.max}
+            step={field.type === 'number' ? 'any' : undefined}
+            onChange={event => onChange(event.target.value)}
+          />
+        )}
+      {error && <p id={`field-${field.name}-error`} className="status-error">{error}</p>}
+    </div>
+  );
+}
+
+export default ServiceField;
@@ -0,0 +1,75 @@
+'use client'
+
+import React, { useEffect, useState } from 'react';
+
+import { ServiceRequest } from '../../lib/services/request';
+import { parseCurl, SNIPPET_LABELS, SNIPPET_LANGUAGES, SnippetLanguage, toSnippet } from '../../lib/services/snippets';
+
+type SnippetDrawerProps = {
+  // the request the form would send right now
+  request: ServiceRequest;
+  onImport: (request: ServiceRequest) => void;
+};
+
+// the current request as code to copy, and a pasted cURL command back into the form
+const SnippetDrawer = ({ request, onImport }: SnippetDrawerProps) => {
+  const [language, setLanguage] = useState<SnippetLanguage>('curl');
+  const [origin, setOrigin] = useState<string>();
+  const [copied, setCopied] = useState<string>();
+  const [command, setCommand] = useState('');
+  const [importError, setImportError] = useState<string>();
+
+  // the absolute URL only exists in the browser
+  useEffect(() => {
+    setOrigin(window.location.origin);
+  }, []);
+
+  const snippet = origin && toSnippet(language, request, origin);
+
+  const handleCopy = () => {
+    if (!snippet) {
+      return;
+    }
+    navigator.clipboard.writeText(snippet)
+      .then(() => setCopied(snippet))
+      .catch(error => console.error('Could not copy the snippet:', error));
+  }
+
+  const handleImport = () => {
+    try {
+      onImport(parseCurl(command));
+      setImportError(undefined);
+      setCommand('');
+    } catch (error) {
+      setImportError(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  return (
+    <details className="snippet-drawer">
+      <summary>Code snippets</summary>
+      <div role="tablist" className="viewer-tabs">
+        {SNIPPET_LANGUAGES.map(name => (
+          <button key={name} type="button" role="tab" aria-selected={language === name} onClick={() => setLanguage(name)}>
+            {SNIPPET_LABELS[name]}
+          </button>
+        ))}
+      </div>
+      <pre>{snippet}</pre>
+      <p>
+        <button type="button" disabled={!snippet} onClick={handleCopy}>Copy</button>
+        {copied !== undefined && copied === snippet && <small role="status"> Copied</small>}
+      </p>
+      <label>
+        Paste a cURL command to fill in the form
+        <textarea rows={4} value={command} onChange={event => setCommand(event.target.value)} placeholder="curl -X POST https://…"/>
+      </label>
+      <p>
+        <button type="button" disabled={command.trim() === ''} onClick={handleImport}>Fill in form</button>
+        {importError && <small role="alert" className="status-error"> {importError}</small>}
+      </p>
+    </details>
+  );
+}
+
+export default SnippetDrawer;
@@ -0,0 +1,45 @@
+'use client'
+
+import { useEffect, useState } from 'react';
+
+import { HealthReport, healthUrl } from '../../lib/services/healthStatus';
+
+const POLL_INTERVAL_MS = 30_000;
+
+// polls the health route of a service, does nothing when no service is given
+const useServiceHealth = (serviceId?: string) => {
+  const [report, setReport] = useState<HealthReport>();
+
+  useEffect(() => {
+    if (!serviceId) {
+      return;
+    }
+    let active = true;
+    const poll = () => {
+      fetch(healthUrl(serviceId))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Health check failed with ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((next: HealthReport) => active && setReport(next))
+        .catch(() => active && setReport({
+          service: serviceId,
+          status: 'unknown',
+          message: 'Could not reach the health check',
+          checkedAt: Date.now(),
+        }));
+    }
+    poll();
+    const interval = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      active = false;
+      clearInterval(interval);
+    };
+  }, [serviceId]);
+
+  return report;
+}
+
+export default useServiceHealth;
@@ -0,0 +1,26 @@
+'use client'
+
+import React, { useState } from 'react';
+
+import { SolverLink, solverHref } from '../../lib/solverLink';
+
+// copies an absolute link that opens the solver page with this term
+const CopyLinkButton = ({ link }: { link: SolverLink }) => {
+  const [copied, setCopied] = useState<string>();
+  const href = solverHref(link);
+
+  const handleClick = () => {
+    navigator.clipboard.writeText(new URL(href, window.location.origin).toString())
+      .then(() => setCopied(href))
+      .catch(error => console.error('Could not copy the link:', error));
+  }
+
+  return (
+    <p className="copy-link">
+      <button type="button" onClick={handleClick}>Copy link</button>
+      {copied === href && <small role="status"> Link copied</small>}
+    </p>
+  );
+}
+
+export default CopyLinkButton;
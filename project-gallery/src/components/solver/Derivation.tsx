@@ -0,0 +1,32 @@
+import React from 'react';
+
+import { formatNumber, NumberFormat, Step } from '../../lib/solver';
+
+// the reduction steps of a term, revealed one after the other
+const Derivation = ({ steps, format }: { steps: Step[], format: NumberFormat }) => {
+  if (steps.length === 0) {
+    return null;
+  }
+
+  return (
+    <details className="derivation" open>
+      <summary>Derivation ({steps.length} {steps.length === 1 ? 'step' : 'steps'})</summary>
+      <ol key={steps[0].before}>
+        {steps.map((step, index) => (
+          <li key={index} style={{ animationDelay: `${index * 300}ms` }}>
+            <code>
+              {step.before.slice(0, step.start)}
+              <mark>{step.before.slice(step.start, step.end)}</mark>
+              {step.before.slice(step.end)}
+            </code>
+            {' → '}
+            <code>{step.after}</code>
+            <small>{step.subexpression} = {formatNumber(step.value, format)}</small>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default Derivation;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+import { EquationResult } from '../../lib/solver';
+
+// the transformations that lead from the equation to its solutions
+const EquationSteps = ({ result }: { result: EquationResult }) => {
+  return (
+    <details className="derivation" open>
+      <summary>Solving steps</summary>
+      <ol key={result.equation}>
+        {result.steps.map((step, index) => (
+          <li key={index} style={{ animationDelay: `${index * 300}ms` }}>
+            <small>{step.description}</small>
+            <code>{step.equation}</code>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default EquationSteps;
@@ -0,0 +1,311 @@
+'use client'
+
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+import { Scope, SolverError } from '../../lib/solver';
+import {
+  compileFunction,
+  DEFAULT_VIEWPORT,
+  findIntersections,
+  findRoots,
+  gridLines,
+  gridStep,
+  isTooNarrow,
+  PlotPoint,
+  RealFunction,
+  sample,
+  Viewport,
+} from '../../lib/solver/plot';
+import { exportPng, exportSvg } from '../../lib/solver/plotExport';
+import PlotRange from './PlotRange';
+
+const WIDTH = 600;
+const HEIGHT = 400;
+const SAMPLES = 600;
+const ZOOM_STEP = 1.25;
+const COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+type FunctionPlotProps = {
+  terms: string[];
+  scope: Scope;
+  onRemove: (term: string) => void;
+};
+
+type Graph = {
+  term: string;
+  color: string;
+  fn?: RealFunction;
+  error?: string;
+};
+
+type Drag = {
+  clientX: number;
+  clientY: number;
+  viewport: Viewport;
+};
+
+const label = (value: number) => String(Number(value.toPrecision(4)));
+
+// zooming in stops where doubles can no longer tell the bounds apart
+const zoom = (viewport: Viewport, factor: number, center: PlotPoint): Viewport => {
+  const next = {
+    xMin: center.x + (viewport.xMin - center.x) * factor,
+    xMax: center.x + (viewport.xMax - center.x) * factor,
+    yMin: center.y + (viewport.yMin - center.y) * factor,
+    yMax: center.y + (viewport.yMax - center.y) * factor,
+  };
+  return isTooNarrow(next.xMin, next.xMax) || isTooNarrow(next.yMin, next.yMax) ? viewport : next;
+}
+
+const middle = ({ xMin, xMax, yMin, yMax }: Viewport) => ({ x: (xMin + xMax) / 2, y: (yMin + yMax) / 2 });
+
+const screenX = (x: number, { xMin, xMax }: Viewport) => ((x - xMin) / (xMax - xMin)) * WIDTH;
+
+const screenY = (y: number, { yMin, yMax }: Viewport) => HEIGHT - ((y - yMin) / (yMax - yMin)) * HEIGHT;
+
+// pointer position in plot coordinates
+const toPlot = (svg: SVGSVGElement, clientX: number, clientY: number, viewport: Viewport): PlotPoint => {
+  const rect = svg.getBoundingClientRect();
+  return {
+    x: viewport.xMin + ((clientX - rect.left) / rect.width) * (viewport.xMax - viewport.xMin),
+    y: viewport.yMax - ((clientY - rect.top) / rect.height) * (viewport.yMax - viewport.yMin),
+  };
+}
+
+// breaks the line where the function is undefined or jumps through a pole from one side of the view to the other
+const pathOf = (points: PlotPoint[], viewport: Viewport) => {
+  const height = viewport.yMax - viewport.yMin;
+  const limit = (y: number) => Math.min(Math.max(y, viewport.yMin - height), viewport.yMax + height);
+  let path = '';
+  let previous: PlotPoint | undefined;
+  for (const point of points) {
+    if (!Number.isFinite(point.y)) {
+      previous = undefined;
+      continue;
+    }
+    const pole = previous !== undefined && (
+      (previous.y > viewport.yMax && point.y < viewport.yMin) || (previous.y < viewport.yMin && point.y > viewport.yMax)
+    );
+    const command = previous === undefined || pole ? 'M' : 'L';
+    path += `${command}${screenX(point.x, viewport).toFixed(1)} ${screenY(limit(point.y), viewport).toFixed(1)}`;
+    previous = point;
+  }
+  return path;
+}
+
+// plots functions of x, drag to pan, scroll to zoom
+const FunctionPlot = ({ terms, scope, onRemove }: FunctionPlotProps) => {
+  const svgRef = useRef<SVGSVGElement>(null);
+  const drag = useRef<Drag>(undefined);
+  const [viewport, setViewport] = useState<Viewport>(DEFAULT_VIEWPORT);
+  // the viewport of the next frame, ahead of viewport while a change waits for it
+  const latest = useRef<Viewport>(DEFAULT_VIEWPORT);
+  const frame = useRef<number>(undefined);
+  const [hover, setHover] = useState<PlotPoint>();
+
+  // every viewport resamples all graphs, so pointer and wheel events that fire several times a frame only apply the last one
+  const changeViewport = useCallback((update: (current: Viewport) => Viewport) => {
+    latest.current = update(latest.current);
+    frame.current ??= requestAnimationFrame(() => {
+      frame.current = undefined;
+      setViewport(latest.current);
+    });
+  }, []);
+
+  useEffect(() => () => {
+    if (frame.current !== undefined) {
+      cancelAnimationFrame(frame.current);
+    }
+  }, []);
+
+  const graphs = useMemo(() => terms.map((term, index): Graph => {
+    const color = COLORS[index % COLORS.length];
+    try {
+      return { term, color, fn: compileFunction(term, scope) };
+    } catch (error) {
+      if (error instanceof SolverError) {
+        return { term, color, error: error.message };
+      }
+      throw error;
+    }
+  }), [terms, scope]);
+
+  const plotted = useMemo(() => graphs.map(graph => (graph.fn
+    ? {
+      path: pathOf(sample(graph.fn, viewport.xMin, viewport.xMax, SAMPLES), viewport),
+      roots: findRoots(graph.fn, viewport.xMin, viewport.xMax),
+    }
+    : { path: '', roots: [] })), [graphs, viewport]);
+
+  const intersections = useMemo(() => graphs.flatMap((first, i) => graphs.slice(i + 1).flatMap(second => (
+    first.fn && second.fn ? findIntersections(first.fn, second.fn, viewport.xMin, viewport.xMax) : []
+  ))), [graphs, viewport]);
+
+  // React registers wheel listeners as passive, which would let the page scroll along
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) {
+      return;
+    }
+    const handleWheel = (event: WheelEvent) => {
+      event.preventDefault();
+      const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+      changeViewport(current => zoom(current, factor, toPlot(svg, event.clientX, event.clientY, current)));
+    }
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, [changeViewport]);
+
+  const handlePointerDown = (event: React.PointerEvent<SVGSVGElement>) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setHover(undefined);
+    drag.current = { clientX: event.clientX, clientY: event.clientY, viewport: latest.current };
+  }
+
+  const handlePointerMove = (event: React.PointerEvent<SVGSVGElement>) => {
+    const svg = event.currentTarget;
+    const start = drag.current;
+    if (!start) {
+      setHover(toPlot(svg, event.clientX, event.clientY, viewport));
+      return;
+    }
+    const from = toPlot(svg, start.clientX, start.clientY, start.viewport);
+    const to = toPlot(svg, event.clientX, event.clientY, start.viewport);
+    const dx = from.x - to.x;
+    const dy = from.y - to.y;
+    changeViewport(() => ({
+      xMin: start.viewport.xMin + dx,
+      xMax: start.viewport.xMax + dx,
+      yMin: start.viewport.yMin + dy,
+      yMax: start.viewport.yMax + dy,
+    }));
+  }
+
+  // a cancelled touch or a lost capture never sends pointerup
+  const endDrag = () => {
+    drag.current = undefined;
+  }
+
+  const handleExport = (type: 'svg' | 'png') => {
+    const svg = svgRef.current;
+    if (!svg) {
+      return;
+    }
+    if (type === 'svg') {
+      exportSvg(svg);
+    } else {
+      exportPng(svg).catch(error => console.error('Could not export the plot:', error));
+    }
+  }
+
+  const xStep = gridStep(viewport.xMax - viewport.xMin);
+  const yStep = gridStep(viewport.yMax - viewport.yMin);
+  // axes stick to the border when the origin is out of view
+  const axisX = Math.min(Math.max(screenX(0, viewport), 0), WIDTH);
+  const axisY = Math.min(Math.max(screenY(0, viewport), 0), HEIGHT);
+
+  return (
+    <section className="function-plot">
+      <h2>Plot</h2>
+      <ul className="plot-legend">
+        {graphs.map((graph, index) => (
+          <li key={graph.term}>
+            <span className="plot-swatch" style={{ backgroundColor: graph.color }}/>
+            <code>y = {graph.term}</code>
+            {graph.error && <span className="status-error"> {graph.error}</span>}
+            {plotted[index].roots.length > 0 && (
+              <small> roots: {plotted[index].roots.map(root => `x ≈ ${label(root)}`).join(', ')}</small>
+            )}
+            {' '}
+            <button type="button" onClick={() => onRemove(graph.term)} aria-label={`Remove y = ${graph.term}`}>×</button>
+          </li>
+        ))}
+      </ul>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Plot of ${terms.map(term => `y = ${term}`).join(', ')}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onLostPointerCapture={endDrag}
+        onPointerLeave={() => setHover(undefined)}
+      >
+        <rect width={WIDTH} height={HEIGHT} fill="white"/>
+        {gridLines(viewport.xMin, viewport.xMax, xStep).map(x => (
+          <g key={`x${x}`}>
+            <line x1={screenX(x, viewport)} x2={screenX(x, viewport)} y1={0} y2={HEIGHT} stroke="#e5e7eb"/>
+            {x !== 0 && (
+              <text x={screenX(x, viewport)} y={Math.min(axisY + 14, HEIGHT - 4)} fontSize={11} textAnchor="middle" fill="#4b5563">
+                {label(x)}
+              </text>
+            )}
+          </g>
+        ))}
+        {gridLines(viewport.yMin, viewport.yMax, yStep).map(y => (
+          <g key={`y${y}`}>
+            <line x1={0} x2={WIDTH} y1={screenY(y, viewport)} y2={screenY(y, viewport)} stroke="#e5e7eb"/>
+            {y !== 0 && (
+              <text x={Math.max(axisX - 4, 28)} y={screenY(y, viewport) + 4} fontSize={11} textAnchor="end" fill="#4b5563">
+                {label(y)}
+              </text>
+            )}
+          </g>
+        ))}
+        <line x1={0} x2={WIDTH} y1={axisY} y2={axisY} stroke="#111827"/>
+        <line x1={axisX} x2={axisX} y1={0} y2={HEIGHT} stroke="#111827"/>
+        {graphs.map((graph, index) => (
+          <path key={graph.term} d={plotted[index].path} fill="none" stroke={graph.color} strokeWidth={2}/>
+        ))}
+        {graphs.map((graph, index) => plotted[index].roots.map(root => (
+          <circle key={`${graph.term}@${root}`} cx={screenX(root, viewport)} cy={screenY(0, viewport)} r={4} fill={graph.color}>
+            <title>root of y = {graph.term} at x ≈ {label(root)}</title>
+          </circle>
+        )))}
+        {intersections.map(point => (
+          <circle
+            key={`${point.x},${point.y}`}
+            cx={screenX(point.x, viewport)}
+            cy={screenY(point.y, viewport)}
+            r={5}
+            fill="white"
+            stroke="#111827"
+            strokeWidth={2}
+          >
+            <title>intersection at ({label(point.x)}, {label(point.y)})</title>
+          </circle>
+        ))}
+        {hover && (
+          <line
+            x1={screenX(hover.x, viewport)}
+            x2={screenX(hover.x, viewport)}
+            y1={0}
+            y2={HEIGHT}
+            stroke="#9ca3af"
+            strokeDasharray="4 4"
+          />
+        )}
+      </svg>
+      <p className="plot-hover" aria-live="polite">
+        {hover
+          ? [
+            `x = ${label(hover.x)}, y = ${label(hover.y)}`,
+            ...graphs.flatMap(graph => (graph.fn ? [`${graph.term} = ${label(graph.fn(hover.x))}`] : [])),
+          ].join(' · ')
+          : 'Drag to pan, scroll to zoom.'}
+      </p>
+      <div className="plot-controls">
+        <button type="button" onClick={() => changeViewport(current => zoom(current, 1 / ZOOM_STEP, middle(current)))}>Zoom in</button>
+        <button type="button" onClick={() => changeViewport(current => zoom(current, ZOOM_STEP, middle(current)))}>Zoom out</button>
+        <button type="button" onClick={() => changeViewport(() => DEFAULT_VIEWPORT)}>Reset view</button>
+        <button type="button" onClick={() => handleExport('svg')}>Export SVG</button>
+        <button type="button" onClick={() => handleExport('png')}>Export PNG</button>
+      </div>
+      <PlotRange key={JSON.stringify(viewport)} viewport={viewport} onChange={next => changeViewport(() => next)}/>
+    </section>
+  );
+}
+
+export default FunctionPlot;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+import { isNumberNotation, MAX_DIGITS, NumberFormat } from '../../lib/solver';
+
+type NumberFormatSelectorProps = {
+  format: NumberFormat;
+  onChange: (format: NumberFormat) => void;
+};
+
+// picks how exact results are shown, the computation itself always stays exact
+const NumberFormatSelector = ({ format, onChange }: NumberFormatSelectorProps) => {
+  return (
+    <div className="number-format">
+      <label>
+        Show as{' '}
+        <select
+          value={format.notation}
+          onChange={event => isNumberNotation(event.target.value) && onChange({ ...format, notation: event.target.value })}
+        >
+          <option value="fraction">Fraction</option>
+          <option value="decimal">Decimal</option>
+          <option value="scientific">Scientific</option>
+        </select>
+      </label>
+      {format.notation !== 'fraction' && (
+        <label>
+          Digits after the point{' '}
+          <input
+            type="number"
+            min={0}
+            max={MAX_DIGITS}
+            value={format.digits}
+            onChange={event => onChange({ ...format, digits: Math.min(Math.max(event.target.valueAsNumber || 0, 0), MAX_DIGITS) })}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default NumberFormatSelector;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+
+import { isTooNarrow, Viewport } from '../../lib/solver/plot';
+
+type PlotRangeProps = {
+  viewport: Viewport;
+  onChange: (viewport: Viewport) => void;
+};
+
+const BOUNDS = [
+  ['xMin', 'x from'],
+  ['xMax', 'x to'],
+  ['yMin', 'y from'],
+  ['yMax', 'y to'],
+] as const;
+
+const rounded = (value: number) => String(Number(value.toPrecision(6)));
+
+// edits a copy of the visible range, the plot only moves once the range is applied
+const PlotRange = ({ viewport, onChange }: PlotRangeProps) => {
+  const [draft, setDraft] = useState(() => Object.fromEntries(BOUNDS.map(([key]) => [key, rounded(viewport[key])])));
+  const [error, setError] = useState<string>();
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    const next: Viewport = {
+      xMin: Number(draft.xMin),
+      xMax: Number(draft.xMax),
+      yMin: Number(draft.yMin),
+      yMax: Number(draft.yMax),
+    };
+    if (Object.values(next).some(value => !Number.isFinite(value))) {
+      setError('Every bound needs to be a number');
+    } else if (next.xMin >= next.xMax || next.yMin >= next.yMax) {
+      setError('Each range has to start below where it ends');
+    } else if (isTooNarrow(next.xMin, next.xMax) || isTooNarrow(next.yMin, next.yMax)) {
+      setError('A range is too narrow for the size of its bounds');
+    } else {
+      setError(undefined);
+      onChange(next);
+    }
+  }
+
+  return (
+    <form className="plot-range" onSubmit={handleSubmit}>
+      {BOUNDS.map(([key, label]) => (
+        <label key={key}>
+          {label}{' '}
+          <input
+            type="number"
+            step="any"
+            value={draft[key]}
+            onChange={event => setDraft(values => ({ ...values, [key]: event.target.value }))}
+          />
+        </label>
+      ))}
+      <button type="submit">Apply range</button>
+      {error && <p role="alert" className="status-error">{error}</p>}
+    </form>
+  );
+}
+
+export default PlotRange;
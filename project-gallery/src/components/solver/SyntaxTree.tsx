@@ -0,0 +1,71 @@
+'use client'
+
+import React, { useState } from 'react';
+
+import { evaluate, formatNumber, Node, NumberFormat, Scope, SolverError } from '../../lib/solver';
+import { layoutTree } from '../../lib/solver/layout';
+
+const SPACING_X = 48;
+const SPACING_Y = 56;
+const RADIUS = 16;
+
+type SyntaxTreeProps = {
+  tree: Node;
+  scope: Scope;
+  format: NumberFormat;
+  // called with the input span of the hovered node, or undefined when the pointer leaves
+  onHighlight: (span?: { start: number, end: number }) => void;
+};
+
+const valueOf = (node: Node, scope: Scope, format: NumberFormat) => {
+  try {
+    return formatNumber(evaluate(node, scope), format);
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+const SyntaxTree = ({ tree, scope, format, onHighlight }: SyntaxTreeProps) => {
+  const [selected, setSelected] = useState<Node>();
+  const layout = layoutTree(tree);
+  const position = (x: number, y: number) => ({ cx: (x + 0.5) * SPACING_X, cy: (y + 0.5) * SPACING_Y });
+
+  return (
+    <details className="syntax-tree" open>
+      <summary>Syntax tree</summary>
+      <svg
+        width={layout.width * SPACING_X}
+        height={layout.height * SPACING_Y}
+        role="img"
+        aria-label="Syntax tree of the term"
+      >
+        {layout.edges.map(edge => {
+          const from = position(layout.nodes[edge.from].x, layout.nodes[edge.from].y);
+          const to = position(layout.nodes[edge.to].x, layout.nodes[edge.to].y);
+          return <line key={`${edge.from}-${edge.to}`} x1={from.cx} y1={from.cy} x2={to.cx} y2={to.cy}/>;
+        })}
+        {layout.nodes.map(placed => {
+          const { cx, cy } = position(placed.x, placed.y);
+          return (
+            <g
+              key={placed.id}
+              className={`${placed.leaf ? 'tree-leaf' : 'tree-operator'}${placed.node === selected ? ' tree-selected' : ''}`}
+              onMouseEnter={() => onHighlight(placed.node)}
+              onMouseLeave={() => onHighlight(undefined)}
+              onClick={() => setSelected(placed.node === selected ? undefined : placed.node)}
+            >
+              <circle cx={cx} cy={cy} r={RADIUS}/>
+              <text x={cx} y={cy} textAnchor="middle" dominantBaseline="central">{placed.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+      {selected && <p>Value of the selected subtree: <code>{valueOf(selected, scope, format)}</code></p>}
+    </details>
+  );
+}
+
+export default SyntaxTree;
@@ -0,0 +1,39 @@
+import React from 'react';
+
+export type Span = { start: number, end: number };
+
+type TermInputProps = {
+  term: string;
+  onChange: (term: string) => void;
+  // hovered part of the term
+  highlight?: Span;
+  // offending token of a parse error, an empty span marks a missing token
+  error?: Span;
+};
+
+// text input with a mirrored layer underneath that can mark parts of the term
+const TermInput = ({ term, onChange, highlight, error }: TermInputProps) => {
+  const mark = highlight ?? error;
+  const className = highlight ? 'term-mark' : 'term-mark term-mark-error';
+
+  return (
+    <div className="term-input">
+      {mark && (
+        <div className="term-highlight" aria-hidden>
+          {term.slice(0, mark.start)}
+          <mark className={className}>{mark.end > mark.start ? term.slice(mark.start, mark.end) : ' '}</mark>
+          {term.slice(mark.end)}
+        </div>
+      )}
+      <input
+        aria-label="Term"
+        aria-invalid={error ? true : undefined}
+        placeholder="Enter your Term"
+        value={term}
+        onChange={event => onChange(event.target.value)}
+      />
+    </div>
+  );
+}
+
+export default TermInput;
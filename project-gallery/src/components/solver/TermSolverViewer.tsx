@@ -0,0 +1,237 @@
+'use client'
+
+import React, { useEffect, useMemo, useState } from 'react';
+
+import {
+  DEFAULT_FORMAT,
+  EquationResult,
+  formatNumber,
+  NumberFormat,
+  parse,
+  parseEquation,
+  Scope,
+  solve,
+  solveEquation,
+  SolverError,
+  SolverMode,
+  SolveResult,
+} from '../../lib/solver';
+import { isPlottable } from '../../lib/solver/plot';
+import { loadScope, saveScope } from '../../lib/solver/session';
+import { equals, identifier, implies, list, MathBox, solutionBox, toBox, toLatex, valueBox } from '../../lib/solver/typeset';
+import { serializeSolverLink } from '../../lib/solverLink';
+import CopyLinkButton from './CopyLinkButton';
+import Derivation from './Derivation';
+import EquationSteps from './EquationSteps';
+import FunctionPlot from './FunctionPlot';
+import NumberFormatSelector from './NumberFormatSelector';
+import SyntaxTree from './SyntaxTree';
+import TermInput, { Span } from './TermInput';
+import TypesetMath from './TypesetMath';
+import VariablesTable from './VariablesTable';
+
+type LogEntry = { solution: SolveResult } | { equation: EquationResult };
+
+const EXAMPLES: Record<SolverMode, string> = {
+  evaluate: '2+3*4',
+  equation: 'x^2 - 5x + 6 = 0',
+};
+
+const formatResult = ({ variable, result }: SolveResult, format: NumberFormat) => (
+  `${variable ? `${variable} = ` : ''}${formatNumber(result, format)}`
+);
+
+const formatSolutions = ({ kind, variable, solutions }: EquationResult, format: NumberFormat) => {
+  if (kind === 'identity') {
+    return `every ${variable} is a solution`;
+  }
+  if (kind === 'contradiction') {
+    return 'no solution';
+  }
+  if (solutions.length === 0) {
+    return 'no real solution';
+  }
+  return solutions
+    .map(({ exact, value }) => {
+      const decimal = formatNumber(value, format);
+      return exact === decimal ? `${variable} = ${exact}` : `${variable} = ${exact} ≈ ${decimal}`;
+    })
+    .join(', ');
+}
+
+const typesetSolution = ({ tree, variable, result }: SolveResult, format: NumberFormat) => {
+  const sides = [toBox(tree), valueBox(result, format)];
+  return equals(...(variable ? [identifier(variable), ...sides] : sides));
+}
+
+const typesetEquation = (term: string, { variable, solutions }: EquationResult) => {
+  const { left, right } = parseEquation(term);
+  const equation = equals(toBox(left), toBox(right));
+  if (solutions.length === 0) {
+    return equation;
+  }
+  return implies(equation, list(...solutions.map(({ exact }) => equals(identifier(variable), solutionBox(exact)))));
+}
+
+type TermSolverViewerProps = {
+  initialTerm?: string;
+  initialMode?: SolverMode;
+  // mirror term and mode into the query string, for the page that reads them back on load
+  syncUrl?: boolean;
+};
+
+// evaluates the term in the browser while typing, pressing enter commits it to the session
+const TermSolverViewer = ({ initialTerm, initialMode = 'evaluate', syncUrl = false }: TermSolverViewerProps) => {
+  const [mode, setMode] = useState<SolverMode>(initialMode);
+  const [term, setTerm] = useState(initialTerm ?? EXAMPLES[initialMode]);
+  const [highlight, setHighlight] = useState<Span>();
+  const [scope, setScope] = useState<Scope>({});
+  const [log, setLog] = useState<LogEntry[]>([]);
+  const [format, setFormat] = useState<NumberFormat>(DEFAULT_FORMAT);
+  const [plotted, setPlotted] = useState<string[]>([]);
+
+  useEffect(() => {
+    setScope(loadScope());
+  }, []);
+
+  // replaceState instead of the router, so typing does not fetch the page again on every key
+  useEffect(() => {
+    if (!syncUrl) {
+      return;
+    }
+    const query = serializeSolverLink({ term, mode });
+    const { pathname } = window.location;
+    window.history.replaceState(null, '', query ? `${pathname}?${query}` : pathname);
+  }, [syncUrl, term, mode]);
+
+  const updateScope = (next: Scope) => {
+    setScope(next);
+    saveScope(next);
+  }
+
+  const outcome = useMemo(() => {
+    if (term.trim() === '') {
+      return {};
+    }
+    try {
+      return mode === 'equation' ? { equation: solveEquation(term, scope) } : { solution: solve(term, scope) };
+    } catch (error) {
+      if (error instanceof SolverError) {
+        return { error };
+      }
+      throw error;
+    }
+  }, [term, scope, mode]);
+
+  // a term in x that only fails because x is unknown is a function to plot, not a mistake
+  const plottable = useMemo(() => mode === 'evaluate' && isPlottable(term, scope), [term, scope, mode]);
+  const error = plottable && outcome.error?.code === 'UNKNOWN_VARIABLE' ? undefined : outcome.error;
+
+  const typeset = useMemo((): MathBox | undefined => {
+    if (outcome.solution) {
+      return typesetSolution(outcome.solution, format);
+    }
+    if (outcome.equation) {
+      return typesetEquation(term, outcome.equation);
+    }
+    return plottable ? equals(identifier('y'), toBox(parse(term))) : undefined;
+  }, [outcome, term, format, plottable]);
+
+  const plot = (expression: string) => {
+    setPlotted(terms => (terms.includes(expression) ? terms : [...terms, expression]));
+  }
+
+  const handleSubmit = (event: React.FormEvent) => {
+    event.preventDefault();
+    const { solution, equation } = outcome;
+    if (equation) {
+      setLog(entries => [...entries, { equation }]);
+      setTerm('');
+      return;
+    }
+    if (!solution) {
+      if (plottable) {
+        plot(term.trim());
+      }
+      return;
+    }
+    updateScope(solution.scope);
+    setLog(entries => [...entries, { solution }]);
+    setTerm('');
+  }
+
+  const changeMode = (next: SolverMode) => {
+    setMode(next);
+    setTerm(EXAMPLES[next]);
+    setHighlight(undefined);
+  }
+
+  return (
+    <section className="term-solver">
+      <form onSubmit={handleSubmit}>
+        <fieldset>
+          <legend>Term Solver</legend>
+          <label>
+            Mode{' '}
+            <select value={mode} onChange={event => changeMode(event.target.value as SolverMode)}>
+              <option value="evaluate">Evaluate</option>
+              <option value="equation">Equation</option>
+            </select>
+          </label>
+          {log.length > 0 && (
+            <ol className="solver-log">
+              {log.map((entry, index) => (
+                <li key={index}>
+                  {'equation' in entry
+                    ? <><code>{entry.equation.equation}</code> → {formatSolutions(entry.equation, format)}</>
+                    : <><code>{entry.solution.term}</code> → {formatResult(entry.solution, format)}</>}
+                </li>
+              ))}
+            </ol>
+          )}
+          <TermInput
+            term={term}
+            onChange={value => {
+              setTerm(value);
+              setHighlight(undefined);
+            }}
+            highlight={highlight}
+            error={error && { start: error.offset, end: error.offset + error.length }}
+          />
+          {typeset && <TypesetMath key={toLatex(typeset)} box={typeset}/>}
+          <CopyLinkButton link={{ term, mode }}/>
+          <NumberFormatSelector format={format} onChange={setFormat}/>
+        </fieldset>
+      </form>
+      {outcome.solution && (
+        <p className="term-result">
+          {outcome.solution.variable ?? ''} = {formatNumber(outcome.solution.result, format)}
+        </p>
+      )}
+      {outcome.equation && (
+        <p className="term-result">
+          {formatSolutions(outcome.equation, format)}
+        </p>
+      )}
+      {error && (
+        <p role="alert" className="status-error">
+          {error.message} (at character {error.offset + 1})
+        </p>
+      )}
+      {plottable && !plotted.includes(term.trim()) && (
+        <p className="plot-offer">
+          <button type="button" onClick={() => plot(term.trim())}>Plot y = {term.trim()}</button>
+        </p>
+      )}
+      {outcome.solution && <Derivation steps={outcome.solution.steps} format={format}/>}
+      {outcome.equation && <EquationSteps result={outcome.equation}/>}
+      {outcome.solution && <SyntaxTree key={term} tree={outcome.solution.tree} scope={scope} format={format} onHighlight={setHighlight}/>}
+      {plotted.length > 0 && (
+        <FunctionPlot terms={plotted} scope={scope} onRemove={expression => setPlotted(terms => terms.filter(entry => entry !== expression))}/>
+      )}
+      <VariablesTable scope={scope} format={format} onReset={() => updateScope({})}/>
+    </section>
+  );
+}
+
+export default TermSolverViewer;
@@ -0,0 +1,30 @@
+'use client'
+
+import React, { useState } from 'react';
+
+import { MathBox, mathDocument, toLatex } from '../../lib/solver/typeset';
+
+type Copied = 'LaTeX' | 'MathML';
+
+// the browser lays out MathML natively, so no fonts or scripts have to be fetched
+const TypesetMath = ({ box }: { box: MathBox }) => {
+  const [copied, setCopied] = useState<Copied>();
+  const markup = mathDocument(box);
+
+  const copy = (kind: Copied, text: string) => {
+    navigator.clipboard.writeText(text)
+      .then(() => setCopied(kind))
+      .catch(error => console.error(`Could not copy ${kind}:`, error));
+  }
+
+  return (
+    <div className="typeset-math">
+      <div dangerouslySetInnerHTML={{ __html: markup }}/>
+      <button type="button" onClick={() => copy('LaTeX', toLatex(box))}>Copy as LaTeX</button>
+      <button type="button" onClick={() => copy('MathML', markup)}>Copy as MathML</button>
+      {copied && <small role="status"> Copied {copied}</small>}
+    </div>
+  );
+}
+
+export default TypesetMath;
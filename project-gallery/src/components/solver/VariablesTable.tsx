@@ -0,0 +1,38 @@
+import React from 'react';
+
+import { CONSTANTS, formatNumber, FUNCTIONS, NumberFormat, Scope } from '../../lib/solver';
+
+type VariablesTableProps = {
+  scope: Scope;
+  format: NumberFormat;
+  onReset: () => void;
+};
+
+const VariablesTable = ({ scope, format, onReset }: VariablesTableProps) => {
+  const variables = Object.entries(scope);
+
+  return (
+    <section className="variables">
+      <h2>Variables</h2>
+      {variables.length > 0
+        ? (
+          <table>
+            <tbody>
+              {variables.map(([name, value]) => (
+                <tr key={name}><th>{name}</th><td>{formatNumber(value, format)}</td></tr>
+              ))}
+            </tbody>
+          </table>
+        )
+        : <p>Assign one with <code>x = 3*4</code>.</p>}
+      <p>
+        <small>
+          Built in: {Object.keys(CONSTANTS).join(', ')}, {Object.keys(FUNCTIONS).map(name => `${name}()`).join(', ')}
+        </small>
+      </p>
+      <button type="button" onClick={onReset} disabled={variables.length === 0}>Reset variables</button>
+    </section>
+  );
+}
+
+export default VariablesTable;
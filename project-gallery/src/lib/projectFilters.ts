@@ -0,0 +1,67 @@
+// search, tag filtering and sorting for the project list
+// the filter state round-trips through URL query parameters so views can be shared
+
+import { Project, PROJECT_STATUSES, PROJECT_TAGS, ProjectTag } from './projects';
+
+export const SORT_MODES = ['newest', 'alphabetical', 'status'] as const;
+
+export type SortMode = typeof SORT_MODES[number];
+
+export interface ProjectFilter {
+  query: string;
+  tags: ProjectTag[];
+  sort: SortMode;
+}
+
+export const DEFAULT_FILTER: ProjectFilter = { query: '', tags: [], sort: 'newest' };
+
+const isTag = (value: string): value is ProjectTag => (PROJECT_TAGS as readonly string[]).includes(value);
+const isSortMode = (value: string): value is SortMode => (SORT_MODES as readonly string[]).includes(value);
+
+export const parseFilter = (params: URLSearchParams): ProjectFilter => {
+  const sort = params.get('sort') ?? '';
+  return {
+    query: params.get('q') ?? '',
+    tags: (params.get('tags') ?? '').split(',').filter(isTag),
+    sort: isSortMode(sort) ? sort : DEFAULT_FILTER.sort,
+  };
+}
+
+// defaults are left out so the plain home page keeps a clean URL
+export const serializeFilter = (filter: ProjectFilter) => {
+  const params = new URLSearchParams();
+  if (filter.query) {
+    params.set('q', filter.query);
+  }
+  if (filter.tags.length > 0) {
+    params.set('tags', filter.tags.join(','));
+  }
+  if (filter.sort !== DEFAULT_FILTER.sort) {
+    params.set('sort', filter.sort);
+  }
+  return params.toString();
+}
+
+const matchesQuery = (project: Project, query: string) => {
+  const haystack = [
+    project.title,
+    project.description,
+    project.longDescription,
+    ...project.tags,
+    ...project.techStack,
+  ].join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+const comparators: Record<SortMode, (a: Project, b: Project) => number> = {
+  newest: (a, b) => b.created.localeCompare(a.created),
+  alphabetical: (a, b) => a.title.localeCompare(b.title),
+  status: (a, b) => PROJECT_STATUSES.indexOf(a.status) - PROJECT_STATUSES.indexOf(b.status),
+};
+
+export const filterProjects = (projects: Project[], filter: ProjectFilter) => {
+  return projects
+    .filter(project => filter.tags.every(tag => project.tags.includes(tag)))
+    .filter(project => matchesQuery(project, filter.query))
+    .sort(comparators[filter.sort]);
+}
@@ -0,0 +1,121 @@
+// project registry
+// every page that lists projects renders from this array
+
+import { ServiceId } from './services/descriptors';
+
+export const PROJECT_TAGS = ['Python', 'UI5', 'React', 'Spring', 'Flask', 'AI'] as const;
+
+export type ProjectTag = typeof PROJECT_TAGS[number];
+
+export const PROJECT_STATUSES = ['live', 'in-progress', 'planned'] as const;
+
+export type ProjectStatus = typeof PROJECT_STATUSES[number];
+
+export interface ProjectPreview {
+  src: string;
+  alt: string;
+}
+
+// interactive viewers that can be embedded on the detail page
+export type ProjectViewer = 'service' | 'term-solver' | 'ui5';
+
+export interface Project {
+  slug: string;
+  title: string;
+  description: string;
+  longDescription: string;
+  tags: ProjectTag[];
+  techStack: string[];
+  status: ProjectStatus;
+  // ISO date, used for sorting by newest
+  created: string;
+  // route inside this app, rendered with next/link
+  route?: string;
+  // anything outside the app router: other sites or static bundles in public/
+  url?: string;
+  repoUrl?: string;
+  preview: ProjectPreview;
+  screenshots: ProjectPreview[];
+  viewer?: ProjectViewer;
+  // backends rendered by the service viewer, in display order
+  services?: ServiceId[];
+}
+
+export const projects: Project[] = [
+  {
+    slug: 'learning-presentations',
+    title: 'learning_presentations',
+    description: 'Slide decks from talks and learning sessions.',
+    longDescription: 'A collection of presentations used in learning sessions, published with GitHub Pages.',
+    tags: ['React'],
+    techStack: ['React', 'GitHub Pages'],
+    status: 'live',
+    created: '2024-10-01',
+    url: 'https://linus-kronenberger.github.io/learning_presentations/',
+    repoUrl: 'https://github.com/linus-kronenberger/learning_presentations',
+    preview: { src: '/file.svg', alt: 'Presentation slides' },
+    screenshots: [],
+  },
+  {
+    slug: 'term-solver',
+    title: 'Python Term Solver',
+    description: 'Evaluates arithmetic terms, built in and as a Flask service.',
+    longDescription: 'Evaluates arithmetic terms with operator precedence and parentheses. '
+      + 'The built-in TypeScript solver runs inside the Next.js app, the original Flask service reduces terms recursively.',
+    tags: ['Python', 'Flask', 'React'],
+    techStack: ['TypeScript', 'Python', 'Flask', 'Next.js'],
+    status: 'live',
+    created: '2025-05-20',
+    route: '/projects/py/term_solver',
+    repoUrl: 'https://github.com/linus-kronenberger/project-gallery',
+    preview: { src: '/window.svg', alt: 'Term solver form' },
+    screenshots: [],
+    viewer: 'term-solver',
+    services: ['solver', 'term-solver'],
+  },
+  {
+    slug: 'ai-hub',
+    title: 'AI Hub',
+    description: 'Playground for streaming language model backends.',
+    longDescription: 'A hub for trying out language model backends, with responses streamed token by token.',
+    tags: ['AI', 'Python'],
+    techStack: ['Python', 'Next.js'],
+    status: 'planned',
+    created: '2025-07-01',
+    preview: { src: '/globe.svg', alt: 'AI Hub' },
+    screenshots: [],
+    viewer: 'service',
+    services: ['ai-hub'],
+  },
+  {
+    slug: 'spring-fiori',
+    title: 'Spring Fiori',
+    description: 'Spring Boot backend with a Fiori elements frontend.',
+    longDescription: 'An OData service built with Spring Boot, consumed by a Fiori elements app.',
+    tags: ['Spring', 'UI5'],
+    techStack: ['Java', 'Spring Boot', 'SAPUI5'],
+    status: 'planned',
+    created: '2025-07-01',
+    preview: { src: '/globe.svg', alt: 'Spring Fiori' },
+    screenshots: [],
+    viewer: 'service',
+    services: ['spring-fiori'],
+  },
+  {
+    slug: 'ui5-project',
+    title: 'UI 5 Project',
+    description: 'SAPUI5 object page built with the UI5 tooling.',
+    longDescription: 'An SAPUI5 app with an object page layout, built with the UI5 tooling and served from public/ui5/dist.',
+    tags: ['UI5'],
+    techStack: ['SAPUI5', 'UI5 Tooling'],
+    status: 'live',
+    created: '2025-06-10',
+    url: '/ui5/dist/index.html',
+    repoUrl: 'https://github.com/linus-kronenberger/project-gallery',
+    preview: { src: '/window.svg', alt: 'UI5 object page' },
+    screenshots: [],
+    viewer: 'ui5',
+  },
+];
+
+export const getProject = (slug: string) => projects.find(project => project.slug === slug);
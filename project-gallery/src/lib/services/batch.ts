@@ -0,0 +1,154 @@
+// batch runs of the service viewer: one request per pasted line or CSV record, a few at a time
+
+import { parseCsv, toCsv } from './csv';
+import { ServiceDescriptor } from './descriptors';
+import { executeRequest, HttpMethod, ServiceRequest, ServiceResponse } from './request';
+import { FieldErrors, toRequest, validateValues } from './validation';
+
+export const BATCH_FORMATS = ['lines', 'csv'] as const;
+
+export type BatchFormat = typeof BATCH_FORMATS[number];
+
+// cancelled rows were stopped while running or never started
+export type BatchStatus = 'queued' | 'running' | 'ok' | 'error' | 'invalid' | 'cancelled';
+
+export interface BatchRow {
+  // 1-based record number in the input
+  line: number;
+  values: Record<string, string>;
+  status: BatchStatus;
+  errors?: FieldErrors;
+  response?: ServiceResponse;
+  error?: string;
+}
+
+export const DEFAULT_CONCURRENCY = 4;
+export const MAX_CONCURRENCY = 16;
+export const MAX_BATCH_ROWS = 1000;
+
+export const isBatchFormat = (value: string): value is BatchFormat => (BATCH_FORMATS as readonly string[]).includes(value);
+
+const row = (service: ServiceDescriptor, line: number, values: Record<string, string>): BatchRow => {
+  const errors = validateValues(service, values);
+  return Object.keys(errors).length > 0
+    ? { line, values, status: 'invalid', errors }
+    : { line, values, status: 'queued' };
+}
+
+// pasted lines fill the first field, every other field stays empty
+const fromLines = (service: ServiceDescriptor, text: string) => {
+  const [first] = service.fields;
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map((line, index) => row(service, index + 1, { [first.name]: line }));
+}
+
+// a header row naming fields maps columns by name, otherwise columns follow the field order
+const fromCsv = (service: ServiceDescriptor, text: string) => {
+  const records = parseCsv(text);
+  const names = service.fields.map(field => field.name);
+  const header = records[0]?.map(cell => cell.trim());
+  const hasHeader = header !== undefined && header.some(cell => names.includes(cell));
+  const columns = hasHeader ? header : names;
+  return records.slice(hasHeader ? 1 : 0).map((record, index) => {
+    const values: Record<string, string> = {};
+    columns.forEach((name, column) => {
+      if (names.includes(name) && record[column] !== undefined) {
+        values[name] = record[column].trim();
+      }
+    });
+    return row(service, index + 1, values);
+  });
+}
+
+export const parseBatch = (service: ServiceDescriptor, text: string, format: BatchFormat) => (
+  (format === 'csv' ? fromCsv(service, text) : fromLines(service, text)).slice(0, MAX_BATCH_ROWS)
+);
+
+// error bodies follow { error: { message } } across the proxy and the solver
+const errorMessage = (response: ServiceResponse) => {
+  try {
+    const message = JSON.parse(response.body)?.error?.message;
+    if (typeof message === 'string') {
+      return message;
+    }
+  } catch {
+    // not JSON, fall back to the status line
+  }
+  return `${response.status} ${response.statusText}`.trim();
+}
+
+export const runRow = async (
+  service: ServiceDescriptor,
+  method: HttpMethod,
+  batchRow: BatchRow,
+  send: (request: ServiceRequest, signal?: AbortSignal) => Promise<ServiceResponse> = executeRequest,
+  signal?: AbortSignal,
+): Promise<BatchRow> => {
+  const request = toRequest(service, method, batchRow.values);
+  try {
+    const response = await send(request, signal);
+    if (response.stopped) {
+      return { ...batchRow, status: 'cancelled', response };
+    }
+    return response.status >= 200 && response.status < 300
+      ? { ...batchRow, status: 'ok', response }
+      : { ...batchRow, status: 'error', response, error: errorMessage(response) };
+  } catch (error) {
+    return signal?.aborted ? { ...batchRow, status: 'cancelled' } : { ...batchRow, status: 'error', error: String(error) };
+  }
+}
+
+// rows a stopped batch never got to
+export const cancelQueued = (rows: BatchRow[]) => rows.map(batchRow => (
+  batchRow.status === 'queued' ? { ...batchRow, status: 'cancelled' as const } : batchRow
+));
+
+// runs task for every index with at most limit running at once, stops handing out work once signal aborts
+export const runPool = async (count: number, limit: number, task: (index: number) => Promise<void>, signal?: AbortSignal) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < count && !signal?.aborted) {
+      await task(next++);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, count) }, worker));
+}
+
+export const batchToCsv = (service: ServiceDescriptor, rows: BatchRow[]) => {
+  const names = service.fields.map(field => field.name);
+  return toCsv([
+    ['line', ...names, 'status', 'http_status', 'latency_ms', 'local', 'response', 'error'],
+    ...rows.map(batchRow => [
+      batchRow.line,
+      ...names.map(name => batchRow.values[name]),
+      batchRow.status,
+      batchRow.response?.status,
+      batchRow.response?.latency,
+      batchRow.response?.local ? 'yes' : undefined,
+      batchRow.response?.body,
+      batchRow.error ?? (batchRow.errors && Object.values(batchRow.errors).join('; ')),
+    ]),
+  ]);
+}
+
+const parseBody = (body: string) => {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+export const batchToJson = (rows: BatchRow[]) => JSON.stringify(rows.map(batchRow => ({
+  line: batchRow.line,
+  values: batchRow.values,
+  status: batchRow.status,
+  httpStatus: batchRow.response?.status,
+  latency: batchRow.response?.latency,
+  local: batchRow.response?.local,
+  response: batchRow.response && parseBody(batchRow.response.body),
+  error: batchRow.error,
+  fieldErrors: batchRow.errors,
+})), null, 2);
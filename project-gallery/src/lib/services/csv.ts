@@ -0,0 +1,57 @@
+// reading and writing CSV as described in RFC 4180: comma separated, fields with commas, quotes or newlines quoted
+
+export const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      rows.push([...row, field]);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    rows.push([...row, field]);
+  }
+  // blank lines carry no record
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const quote = (value: string) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// spreadsheets run text starting with one of these as a formula, a leading apostrophe keeps it text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cellText = (cell: string | number | undefined) => {
+  if (cell === undefined) {
+    return '';
+  }
+  return typeof cell === 'string' && FORMULA_START.test(cell) ? `'${cell}` : String(cell);
+}
+
+export const toCsv = (rows: (string | number | undefined)[][]) => (
+  rows.map(row => row.map(cell => quote(cellText(cell))).join(',')).join('\r\n')
+);
@@ -0,0 +1,132 @@
+// service descriptors
+// describe a backend endpoint so the service viewer can render a form for it
+
+import type { FallbackId } from './fallback';
+import type { ResponseSchemas } from './openapi';
+import { HttpMethod } from './request';
+
+export type FieldType = 'text' | 'number' | 'textarea';
+
+export interface ServiceField {
+  name: string;
+  label: string;
+  type: FieldType;
+  placeholder?: string;
+  required?: boolean;
+  // regular expression the whole value has to match
+  pattern?: string;
+  patternMessage?: string;
+  min?: number;
+  max?: number;
+  maxLength?: number;
+  // 'path' fills the {name} placeholder of the path and 'query' goes into the query string whatever the method, instead of the payload
+  location?: 'path' | 'query';
+}
+
+export interface ServiceDescriptor {
+  id: string;
+  // set when the descriptor was generated for a single OpenAPI operation
+  operationId?: string;
+  title: string;
+  // served by this Next.js app at path, so it is called directly instead of through the proxy
+  internal?: boolean;
+  // backend URL the proxy falls back to in development, see SERVICE_<ID>_URL
+  baseUrl: string;
+  path: string;
+  methods: HttpMethod[];
+  fields: ServiceField[];
+  // response schemas, filled in when the descriptor comes from an OpenAPI document
+  responses?: ResponseSchemas;
+  // OpenAPI document of the service, relative to this site or absolute
+  openapi?: string;
+  // path polled by the health check, relative to the backend URL
+  health?: string;
+  // in-browser implementation that answers when the backend cannot be reached, see fallback.ts
+  fallback?: FallbackId;
+}
+
+const registry = {
+  'solver': {
+    id: 'solver',
+    title: 'Term Solver (built in)',
+    internal: true,
+    baseUrl: '',
+    path: '/api/solve',
+    methods: ['POST', 'GET'],
+    fields: [
+      { name: 'term', label: 'Term', type: 'text', placeholder: '(2+3)*4 - 1.5^2', required: true },
+      {
+        name: 'mode',
+        label: 'Mode',
+        type: 'text',
+        placeholder: 'evaluate',
+        pattern: 'evaluate|equation',
+        patternMessage: 'Mode is evaluate or equation',
+      },
+    ],
+    fallback: 'solver',
+  },
+  'term-solver': {
+    id: 'term-solver',
+    title: 'Term Solver (Flask)',
+    baseUrl: 'http://127.0.0.1:5000',
+    path: '/solve',
+    methods: ['POST', 'GET'],
+    fields: [
+      {
+        name: 'term',
+        label: 'Term',
+        type: 'text',
+        placeholder: 'Enter your Term',
+        required: true,
+        pattern: '[0-9+*]+',
+        patternMessage: 'Only digits, + and * are supported',
+      },
+    ],
+    openapi: '/openapi/term-solver.yaml',
+    health: '/health',
+    fallback: 'term-solver',
+  },
+  'ai-hub': {
+    id: 'ai-hub',
+    title: 'AI Hub',
+    baseUrl: 'http://127.0.0.1:8000',
+    path: '/chat',
+    methods: ['POST'],
+    fields: [
+      { name: 'prompt', label: 'Prompt', type: 'textarea', placeholder: 'Ask something', required: true, maxLength: 4000 },
+      { name: 'temperature', label: 'Temperature', type: 'number', placeholder: '0.7', min: 0, max: 2 },
+    ],
+    health: '/health',
+  },
+  'spring-fiori': {
+    id: 'spring-fiori',
+    title: 'Spring Fiori',
+    baseUrl: 'http://127.0.0.1:8080',
+    path: '/odata/v4/products',
+    methods: ['GET'],
+    fields: [
+      { name: '$filter', label: 'Filter', type: 'text', placeholder: "name eq 'Laptop'" },
+      { name: '$top', label: 'Top', type: 'number', placeholder: '10', min: 1, max: 100 },
+    ],
+    health: '/actuator/health',
+  },
+} satisfies Record<string, ServiceDescriptor>;
+
+export type ServiceId = keyof typeof registry;
+
+export const services: Record<ServiceId, ServiceDescriptor> = registry;
+
+export const isServiceId = (id: string): id is ServiceId => Object.hasOwn(services, id);
+
+// the browser only ever talks to its own origin, external backends go through the proxy in app/api/services
+// values fill path placeholders such as /items/{id}
+export const serviceUrl = (service: ServiceDescriptor, values: Record<string, string> = {}) => {
+  const path = service.path.replace(/\{([^}]+)\}/g, (_, name: string) => encodeURIComponent(values[name] ?? ''));
+  return service.internal ? path : `/api/services/${service.id}${path}`;
+}
+
+// requests of different OpenAPI operations are kept apart in the history
+export const historyKey = (service: ServiceDescriptor) => (
+  service.operationId ? `${service.id}:${service.operationId}` : service.id
+);
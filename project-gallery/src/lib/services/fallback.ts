@@ -0,0 +1,154 @@
+// local fallbacks of the service viewer: in-browser implementations that answer when a backend cannot be reached
+
+import { solve, SolverError } from '../solver';
+import { solveRequest } from '../solver/api';
+import { ServiceDescriptor } from './descriptors';
+import { executeRequest, readPayload, ServiceRequest, ServiceResponse } from './request';
+
+export const BACKEND_MODES = ['auto', 'remote', 'local'] as const;
+
+// auto tries the backend first, remote and local never use the other side
+export type BackendMode = typeof BACKEND_MODES[number];
+
+type Payload = Record<string, unknown>;
+
+interface LocalReply {
+  status: number;
+  contentType: string;
+  body: string;
+}
+
+const json = (status: number, body: unknown): LocalReply => ({ status, contentType: 'application/json', body: JSON.stringify(body) });
+
+const isDigit = (char: string) => char >= '0' && char <= '9';
+
+// validate_term of term_solver.py: single digits alternating with + or *, at least one operation
+// the harness in scripts/solver-diff checks the backend against this as well
+export const validateTerm = (term: string): SolverError | undefined => {
+  for (let offset = 0; offset < term.length; offset++) {
+    const char = term[offset];
+    const expectDigit = offset % 2 === 0;
+    if (expectDigit && !isDigit(char)) {
+      return new SolverError('UNEXPECTED_TOKEN', `Expected digit but found "${char}"`, offset, 1, ['digit']);
+    }
+    if (!expectDigit && char !== '+' && char !== '*') {
+      return new SolverError('UNEXPECTED_TOKEN', `Expected "+" or "*" but found "${char}"`, offset, 1, ['"+"', '"*"']);
+    }
+  }
+  if (term.length % 2 === 0) {
+    return new SolverError('UNEXPECTED_END', 'Expected digit but found end of input', term.length, 0, ['digit']);
+  }
+  if (term.length < 3) {
+    return new SolverError('UNEXPECTED_END', 'Expected "+" or "*" but found end of input', term.length, 0, ['"+"', '"*"']);
+  }
+  return undefined;
+}
+
+const FALLBACKS = {
+  // the same answers as /api/solve
+  'solver': (payload: Payload) => {
+    const { status, body } = solveRequest(payload.term, payload.mode, payload.scope);
+    return json(status, body);
+  },
+  // the contract of term_solver.py: the terms validate_term accepts, the result as plain text
+  'term-solver': (payload: Payload) => {
+    if (!payload.term) {
+      return json(400, { error: { code: 'MISSING_TERM', message: 'No term provided' } });
+    }
+    const term = String(payload.term);
+    const invalid = validateTerm(term);
+    if (invalid) {
+      return json(400, invalid.toJSON());
+    }
+    return { status: 200, contentType: 'text/plain', body: String(solve(term).result) };
+  },
+} satisfies Record<string, (payload: Payload) => LocalReply>;
+
+export type FallbackId = keyof typeof FALLBACKS;
+
+// proxy errors that mean the backend is down, anything else is a real answer of the backend
+const UNREACHABLE_CODES = ['SERVICE_NOT_CONFIGURED', 'UPSTREAM_TIMEOUT', 'UPSTREAM_UNREACHABLE'];
+
+const MODE_PREFIX = 'service-viewer-backend';
+
+export const isBackendMode = (value: string): value is BackendMode => (BACKEND_MODES as readonly string[]).includes(value);
+
+export const hasFallback = (service: ServiceDescriptor) => service.fallback !== undefined;
+
+export const loadBackendMode = (serviceId: string): BackendMode => {
+  try {
+    const stored = window.localStorage.getItem(`${MODE_PREFIX}:${serviceId}`);
+    return stored && isBackendMode(stored) ? stored : 'auto';
+  } catch {
+    return 'auto';
+  }
+}
+
+export const saveBackendMode = (serviceId: string, mode: BackendMode) => {
+  try {
+    window.localStorage.setItem(`${MODE_PREFIX}:${serviceId}`, mode);
+  } catch (error) {
+    console.error('Could not persist the backend mode:', error);
+  }
+}
+
+export const runLocally = (service: ServiceDescriptor, request: ServiceRequest): ServiceResponse => {
+  const fallback = service.fallback && FALLBACKS[service.fallback];
+  if (!fallback) {
+    throw new Error(`${service.title} has no local fallback`);
+  }
+  const started = performance.now();
+  const reply = fallback(readPayload(request));
+  return {
+    status: reply.status,
+    statusText: reply.status === 200 ? 'OK' : 'Bad Request',
+    latency: Math.round(performance.now() - started),
+    headers: [['content-type', reply.contentType]],
+    body: reply.body,
+    local: true,
+  };
+}
+
+const isUnreachable = (response: ServiceResponse) => {
+  if (response.status < 500) {
+    return false;
+  }
+  try {
+    return UNREACHABLE_CODES.includes(JSON.parse(response.body)?.error?.code);
+  } catch {
+    return false;
+  }
+}
+
+interface SendOptions {
+  // the health check reports the backend offline
+  offline?: boolean;
+  // sends the request to the backend, executeRequest unless the caller adds a timeout or retries
+  execute?: (request: ServiceRequest) => Promise<ServiceResponse>;
+  // a cancelled request is not answered locally either
+  signal?: AbortSignal;
+}
+
+// auto falls back when the request fails or the proxy reports the backend down, skipping it altogether when it is known to be offline
+export const sendRequest = async (
+  service: ServiceDescriptor,
+  request: ServiceRequest,
+  mode: BackendMode,
+  { offline = false, execute = executeRequest, signal }: SendOptions = {},
+) => {
+  if (!hasFallback(service) || mode === 'remote') {
+    return execute(request);
+  }
+  if (mode === 'local' || offline) {
+    return runLocally(service, request);
+  }
+  try {
+    const response = await execute(request);
+    return isUnreachable(response) ? runLocally(service, request) : response;
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    return runLocally(service, request);
+  }
+}
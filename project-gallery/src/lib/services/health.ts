@@ -0,0 +1,61 @@
+// server-side health checks of the project backends
+// results are cached so that every open page polling the route does not hit the backend
+
+import { ServiceDescriptor } from './descriptors';
+import { HealthReport } from './healthStatus';
+import { backendTarget, backendUrl, serviceEnvName } from './proxy';
+
+export const HEALTH_CACHE_MS = 15_000;
+const HEALTH_TIMEOUT_MS = 3_000;
+// answers slower than this count as degraded
+const DEGRADED_LATENCY_MS = 1_500;
+
+const cache = new Map<string, Promise<HealthReport>>();
+
+const check = async (service: ServiceDescriptor): Promise<HealthReport> => {
+  const report = (fields: Omit<HealthReport, 'service' | 'checkedAt'>): HealthReport => ({
+    service: service.id,
+    checkedAt: Date.now(),
+    ...fields,
+  });
+
+  if (!service.health) {
+    return report({ status: 'unknown', message: 'Service declares no health endpoint' });
+  }
+  const base = backendUrl(service);
+  if (!base) {
+    return report({ status: 'offline', message: `${serviceEnvName(service.id)} is not set` });
+  }
+
+  const started = performance.now();
+  try {
+    const response = await fetch(backendTarget(base, service.health), {
+      signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS),
+      cache: 'no-store',
+    });
+    const latency = Math.round(performance.now() - started);
+    if (!response.ok) {
+      return report({ status: 'degraded', latency, message: `Health check answered ${response.status}` });
+    }
+    if (latency > DEGRADED_LATENCY_MS) {
+      return report({ status: 'degraded', latency, message: `Health check took ${latency} ms` });
+    }
+    return report({ status: 'online', latency });
+  } catch (error) {
+    const message = error instanceof DOMException && error.name === 'TimeoutError'
+      ? `No answer within ${HEALTH_TIMEOUT_MS} ms`
+      : `${service.title} is unreachable`;
+    return report({ status: 'offline', message });
+  }
+}
+
+export const checkHealth = (service: ServiceDescriptor) => {
+  const cached = cache.get(service.id);
+  if (cached) {
+    return cached;
+  }
+  const pending = check(service);
+  cache.set(service.id, pending);
+  setTimeout(() => cache.delete(service.id), HEALTH_CACHE_MS);
+  return pending;
+}
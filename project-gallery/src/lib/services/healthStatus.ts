@@ -0,0 +1,14 @@
+// health report shared by the health route and the components that show it
+
+export type HealthStatus = 'online' | 'degraded' | 'offline' | 'unknown';
+
+export interface HealthReport {
+  service: string;
+  status: HealthStatus;
+  // milliseconds the health endpoint took to answer
+  latency?: number;
+  message?: string;
+  checkedAt: number;
+}
+
+export const healthUrl = (serviceId: string) => `/api/health/${serviceId}`;
@@ -0,0 +1,46 @@
+// request history of the service viewer, persisted in localStorage
+
+import { Attempt, ServiceRequest, ServiceResponse } from './request';
+
+const STORAGE_PREFIX = 'service-viewer-history';
+const MAX_ENTRIES = 50;
+
+export interface HistoryEntry {
+  id: string;
+  timestamp: number;
+  request: ServiceRequest;
+  response?: ServiceResponse;
+  error?: string;
+  // every try of the request, several when a GET was retried
+  attempts?: Attempt[];
+}
+
+// every service keeps its own history
+const storageKey = (serviceId: string) => `${STORAGE_PREFIX}:${serviceId}`;
+
+export const loadHistory = (serviceId: string): HistoryEntry[] => {
+  try {
+    const stored = window.localStorage.getItem(storageKey(serviceId));
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+}
+
+export const saveHistory = (serviceId: string, entries: HistoryEntry[]) => {
+  try {
+    window.localStorage.setItem(storageKey(serviceId), JSON.stringify(entries.slice(0, MAX_ENTRIES)));
+  } catch (error) {
+    console.error('Could not persist request history:', error);
+  }
+}
+
+export const createEntry = (
+  request: ServiceRequest,
+  result: { response?: ServiceResponse, error?: string, attempts?: Attempt[] },
+): HistoryEntry => ({
+  id: crypto.randomUUID(),
+  timestamp: Date.now(),
+  request,
+  ...result,
+});
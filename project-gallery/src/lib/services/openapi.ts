@@ -0,0 +1,253 @@
+// OpenAPI 3 support for the service viewer
+// turns the operations of a document into service descriptors and checks responses against their schemas
+
+import { parse as parseYaml } from 'yaml';
+
+import { FieldType, ServiceDescriptor, ServiceField } from './descriptors';
+import { HttpMethod, isHttpMethod, ServiceResponse } from './request';
+
+export interface JsonSchema {
+  $ref?: string;
+  type?: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+  title?: string;
+  description?: string;
+  example?: unknown;
+  enum?: unknown[];
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+}
+
+interface MediaType {
+  schema?: JsonSchema;
+}
+
+interface Parameter {
+  name: string;
+  in: 'query' | 'path' | 'header' | 'cookie';
+  description?: string;
+  required?: boolean;
+  schema?: JsonSchema;
+}
+
+interface Operation {
+  operationId?: string;
+  summary?: string;
+  parameters?: Parameter[];
+  requestBody?: { content?: Record<string, MediaType> };
+  responses?: Record<string, { description?: string, content?: Record<string, MediaType> }>;
+}
+
+export interface OpenApiDocument {
+  openapi: string;
+  info: { title: string, version?: string };
+  servers?: { url: string }[];
+  paths: Record<string, Partial<Record<Lowercase<HttpMethod>, Operation>>>;
+  components?: { schemas?: Record<string, JsonSchema> };
+}
+
+export interface OpenApiOperation {
+  id: string;
+  method: HttpMethod;
+  path: string;
+  summary: string;
+  operation: Operation;
+}
+
+type SchemaComponents = Record<string, JsonSchema>;
+
+// response schemas by status code, 'default' covers every other status; components resolves the references inside schema
+export type ResponseSchemas = Record<string, { contentType: string, schema: JsonSchema, components?: SchemaComponents }>;
+
+export const parseOpenApi = (text: string): OpenApiDocument => {
+  const trimmed = text.trim();
+  const document = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseYaml(trimmed);
+  if (!document || typeof document.openapi !== 'string' || !document.openapi.startsWith('3.')) {
+    throw new Error('Not an OpenAPI 3 document');
+  }
+  if (!document.paths) {
+    throw new Error('OpenAPI document has no paths');
+  }
+  return document;
+}
+
+// only local references into components/schemas are supported, seen stops references that only lead back to themselves
+const resolve = (components: SchemaComponents | undefined, schema: JsonSchema | undefined, seen: string[] = []): JsonSchema | undefined => {
+  if (!schema?.$ref) {
+    return schema;
+  }
+  if (seen.includes(schema.$ref)) {
+    throw new Error(`Schema reference ${schema.$ref} refers to itself`);
+  }
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  const target = components?.[name];
+  if (!target) {
+    throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return resolve(components, target, [...seen, schema.$ref]);
+}
+
+export const listOperations = (document: OpenApiDocument): OpenApiOperation[] => {
+  return Object.entries(document.paths).flatMap(([path, item]) => (
+    Object.entries(item ?? {}).flatMap(([method, operation]) => {
+      const upper = method.toUpperCase();
+      if (!isHttpMethod(upper) || !operation) {
+        return [];
+      }
+      return [{
+        id: operation.operationId ?? `${upper} ${path}`,
+        method: upper,
+        path,
+        summary: operation.summary ?? `${upper} ${path}`,
+        operation,
+      }];
+    })
+  ));
+}
+
+const fieldType = (schema: JsonSchema): FieldType => {
+  if (schema.type === 'number' || schema.type === 'integer') {
+    return 'number';
+  }
+  return schema.maxLength !== undefined && schema.maxLength > 200 ? 'textarea' : 'text';
+}
+
+const toField = (name: string, schema: JsonSchema, required: boolean, description?: string, location?: ServiceField['location']): ServiceField => ({
+  name,
+  label: schema.title ?? name,
+  type: fieldType(schema),
+  placeholder: schema.example !== undefined ? String(schema.example) : description ?? schema.description,
+  required,
+  pattern: schema.pattern,
+  min: schema.minimum,
+  max: schema.maximum,
+  maxLength: schema.maxLength,
+  location,
+});
+
+const requestFields = (document: OpenApiDocument, operation: Operation): ServiceField[] => {
+  const parameters = operation.parameters ?? [];
+  // path parameters are always required, the URL cannot be built without them
+  const path = parameters
+    .filter(parameter => parameter.in === 'path')
+    .map(parameter => toField(parameter.name, resolve(document.components?.schemas, parameter.schema) ?? {}, true, parameter.description, 'path'));
+  const query = parameters
+    .filter(parameter => parameter.in === 'query')
+    .map(parameter => toField(parameter.name, resolve(document.components?.schemas, parameter.schema) ?? {}, !!parameter.required, parameter.description, 'query'));
+
+  const body = resolve(document.components?.schemas, operation.requestBody?.content?.['application/json']?.schema);
+  const properties = Object.entries(body?.properties ?? {})
+    .map(([name, property]) => toField(name, resolve(document.components?.schemas, property) ?? {}, !!body?.required?.includes(name)));
+
+  return [...path, ...query, ...properties];
+}
+
+const responseSchemas = (document: OpenApiDocument, operation: Operation): ResponseSchemas => {
+  const schemas: ResponseSchemas = {};
+  Object.entries(operation.responses ?? {}).forEach(([status, response]) => {
+    const [contentType, media] = Object.entries(response.content ?? {})[0] ?? [];
+    const schema = resolve(document.components?.schemas, media?.schema);
+    if (contentType && schema) {
+      schemas[status] = { contentType, schema, components: document.components?.schemas };
+    }
+  });
+  return schemas;
+}
+
+// the base descriptor supplies everything the document does not know, such as the backend URL
+export const operationToDescriptor = (document: OpenApiDocument, operation: OpenApiOperation, base: ServiceDescriptor): ServiceDescriptor => ({
+  ...base,
+  operationId: operation.id,
+  title: operation.summary,
+  baseUrl: base.baseUrl || document.servers?.[0]?.url || '',
+  path: operation.path,
+  methods: [operation.method],
+  fields: requestFields(document, operation.operation),
+  responses: responseSchemas(document, operation.operation),
+});
+
+const typeOf = (value: unknown) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+// references are resolved as they are reached, a recursive schema ends where the value does
+export const validateSchema = (reference: JsonSchema, value: unknown, path = '$', components?: SchemaComponents): string[] => {
+  let schema: JsonSchema;
+  try {
+    schema = resolve(components, reference) ?? {};
+  } catch (error) {
+    return [`${path} has no usable schema: ${error instanceof Error ? error.message : error}`];
+  }
+  const actual = typeOf(value);
+  if (schema.type) {
+    const matches = schema.type === 'integer'
+      ? Number.isInteger(value)
+      : schema.type === actual;
+    if (!matches) {
+      return [`${path} should be ${schema.type} but is ${actual}`];
+    }
+  }
+  const errors: string[] = [];
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match ${schema.pattern}`);
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items!, item, `${path}[${index}]`, components)));
+  }
+  if (actual === 'object' && value) {
+    const record = value as Record<string, unknown>;
+    (schema.required ?? []).filter(name => !(name in record)).forEach(name => errors.push(`${path}.${name} is required`));
+    Object.entries(schema.properties ?? {}).forEach(([name, property]) => {
+      if (name in record) {
+        errors.push(...validateSchema(property, record[name], `${path}.${name}`, components));
+      }
+    });
+  }
+  return errors;
+}
+
+// undefined when the descriptor declares no schema for this status
+export const validateResponse = (responses: ResponseSchemas | undefined, response: ServiceResponse): string[] | undefined => {
+  const declared = responses?.[String(response.status)] ?? responses?.default;
+  if (!declared) {
+    return undefined;
+  }
+  if (!declared.contentType.includes('json')) {
+    return validateSchema(declared.schema, response.body, '$', declared.components);
+  }
+  try {
+    return validateSchema(declared.schema, JSON.parse(response.body), '$', declared.components);
+  } catch {
+    return ['$ is not valid JSON'];
+  }
+}
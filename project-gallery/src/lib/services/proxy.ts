@@ -0,0 +1,160 @@
+// same-origin proxy to the project backends
+// runs on the server only, the backend URLs come from SERVICE_<ID>_URL environment variables
+
+import { isServiceId, ServiceDescriptor, services } from './descriptors';
+
+export const PROXY_TIMEOUT_MS = 10_000;
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+export type ProxyErrorCode =
+  | 'UNKNOWN_SERVICE'
+  | 'INVALID_PATH'
+  | 'SERVICE_NOT_CONFIGURED'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'UPSTREAM_TIMEOUT'
+  | 'UPSTREAM_UNREACHABLE';
+
+const ERROR_STATUS: Record<ProxyErrorCode, number> = {
+  UNKNOWN_SERVICE: 404,
+  INVALID_PATH: 400,
+  SERVICE_NOT_CONFIGURED: 503,
+  PAYLOAD_TOO_LARGE: 413,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_UNREACHABLE: 502,
+};
+
+export interface ProxyErrorBody {
+  error: {
+    code: ProxyErrorCode;
+    message: string;
+  };
+}
+
+export const proxyError = (code: ProxyErrorCode, message: string) => (
+  Response.json({ error: { code, message } } satisfies ProxyErrorBody, { status: ERROR_STATUS[code] })
+);
+
+// only headers describing the request itself go upstream, never the cookies or credentials of the gallery
+const FORWARDED_REQUEST_HEADERS = ['accept', 'accept-language', 'content-type', 'cache-control', 'last-event-id'];
+
+// hop-by-hop headers, the ones fetch already took care of, and cookies a backend must not set on the gallery origin
+const DROPPED_RESPONSE_HEADERS = [
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'upgrade',
+  'content-length',
+  'content-encoding',
+  'set-cookie',
+];
+
+const copyHeaders = (headers: Headers, keep: (name: string) => boolean) => {
+  const copy = new Headers();
+  headers.forEach((value, name) => {
+    if (keep(name.toLowerCase())) {
+      copy.set(name, value);
+    }
+  });
+  return copy;
+}
+
+export const serviceEnvName = (id: string) => `SERVICE_${id.toUpperCase().replace(/-/g, '_')}_URL`;
+
+// the descriptor URL points at a local dev server, so it is only used outside production
+export const backendUrl = (service: ServiceDescriptor) => {
+  const configured = process.env[serviceEnvName(service.id)];
+  if (configured) {
+    return configured;
+  }
+  return process.env.NODE_ENV === 'production' ? undefined : service.baseUrl;
+}
+
+// paths are resolved below the backend URL, so a base like http://host/api keeps its /api prefix
+export const backendTarget = (base: string, path: string) => (
+  new URL(path.replace(/^\//, ''), base.endsWith('/') ? base : `${base}/`)
+);
+
+// internal services are served by this app and have nothing to proxy to
+export const resolveService = (id: string): ServiceDescriptor | undefined => (
+  isServiceId(id) && !services[id].internal ? services[id] : undefined
+);
+
+const readBody = async (request: Request) => {
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return undefined;
+  }
+  if (Number(request.headers.get('content-length') ?? 0) > MAX_BODY_BYTES) {
+    return null;
+  }
+  if (!request.body) {
+    return undefined;
+  }
+  // the length header is optional, so the stream is counted and given up on as soon as it passes the limit
+  const reader = request.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let length = 0;
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    length += chunk.value.byteLength;
+    if (length > MAX_BODY_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(chunk.value);
+  }
+  const body = new Uint8Array(length);
+  chunks.reduce((offset, chunk) => {
+    body.set(chunk, offset);
+    return offset + chunk.byteLength;
+  }, 0);
+  return body;
+}
+
+export const proxyRequest = async (request: Request, serviceId: string, path: string[]) => {
+  const service = resolveService(serviceId);
+  if (!service) {
+    return proxyError('UNKNOWN_SERVICE', `There is no service called ${serviceId}`);
+  }
+  const base = backendUrl(service);
+  if (!base) {
+    return proxyError('SERVICE_NOT_CONFIGURED', `${serviceEnvName(service.id)} is not set`);
+  }
+
+  const body = await readBody(request);
+  if (body === null) {
+    return proxyError('PAYLOAD_TOO_LARGE', `Request bodies are limited to ${MAX_BODY_BYTES} bytes`);
+  }
+
+  // encoding keeps slashes inside a segment, but . and .. would still climb out of the base path
+  if (path.some(segment => segment === '.' || segment === '..')) {
+    return proxyError('INVALID_PATH', 'Paths must not contain . or .. segments');
+  }
+  const target = backendTarget(base, path.map(encodeURIComponent).join('/'));
+  target.search = new URL(request.url).search;
+
+  // the timeout only covers the time until the headers arrive, so long streams are not cut off
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), PROXY_TIMEOUT_MS);
+  // a viewer that stops a stream closes its request, the backend should stop generating as well
+  request.signal.addEventListener('abort', () => controller.abort(), { once: true });
+  try {
+    const upstream = await fetch(target, {
+      method: request.method,
+      headers: copyHeaders(request.headers, name => FORWARDED_REQUEST_HEADERS.includes(name)),
+      body,
+      signal: controller.signal,
+      redirect: 'manual',
+    });
+    return new Response(upstream.body, {
+      status: upstream.status,
+      statusText: upstream.statusText,
+      headers: copyHeaders(upstream.headers, name => !DROPPED_RESPONSE_HEADERS.includes(name)),
+    });
+  } catch (error) {
+    if (controller.signal.aborted && !request.signal.aborted) {
+      return proxyError('UPSTREAM_TIMEOUT', `${service.title} did not respond within ${PROXY_TIMEOUT_MS} ms`);
+    }
+    return proxyError('UPSTREAM_UNREACHABLE', `${service.title} is unreachable: ${error instanceof Error ? error.message : error}`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
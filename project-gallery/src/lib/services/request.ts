@@ -0,0 +1,215 @@
+// request execution for the service viewer
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] as const;
+
+export type HttpMethod = typeof HTTP_METHODS[number];
+
+// methods whose payload travels as query parameters instead of a JSON body
+const QUERY_METHODS: HttpMethod[] = ['GET', 'DELETE'];
+
+// only idempotent reads are sent again, a repeated POST could do its work twice
+const RETRY_METHODS: HttpMethod[] = ['GET'];
+
+// gateway errors say nothing about the request itself, so another try may succeed
+const RETRY_STATUSES = [502, 503, 504];
+
+// the first retry waits this long, every further one twice as long as the one before
+const RETRY_DELAY_MS = 500;
+
+export const MAX_TIMEOUT_MS = 120_000;
+export const MAX_RETRIES = 5;
+
+export interface ServiceRequest {
+  method: HttpMethod;
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+export interface ServiceResponse {
+  status: number;
+  statusText: string;
+  // milliseconds from sending the request until the body was read
+  latency: number;
+  headers: [string, string][];
+  body: string;
+  // answered by the local fallback instead of the backend
+  local?: boolean;
+  // milliseconds from sending the request until the first chunk of the body arrived
+  firstByte?: number;
+  // the body was cut short because the request was stopped while it streamed in
+  stopped?: boolean;
+}
+
+// the response as far as it has arrived, called once per chunk of the body
+export type ProgressListener = (partial: ServiceResponse) => void;
+
+export interface ExecuteOptions {
+  signal?: AbortSignal;
+  onAttempt?: (attempt: Attempt) => void;
+  onProgress?: ProgressListener;
+}
+
+export interface RequestPolicy {
+  // milliseconds a single attempt may take before it is aborted
+  timeout: number;
+  // further attempts of a GET after the first one failed
+  retries: number;
+}
+
+export const DEFAULT_POLICY: RequestPolicy = { timeout: 10_000, retries: 2 };
+
+export interface Attempt {
+  // 1-based
+  number: number;
+  latency: number;
+  status?: number;
+  error?: string;
+}
+
+export class RequestTimeoutError extends Error {
+  constructor(timeout: number) {
+    super(`No response within ${timeout / 1000} s`);
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+export const isHttpMethod = (value: string): value is HttpMethod => (HTTP_METHODS as readonly string[]).includes(value);
+
+// GET and DELETE send the payload as query parameters, everything else as JSON
+export const buildRequest = (url: string, method: HttpMethod, payload: Record<string, string | number>): ServiceRequest => {
+  if (QUERY_METHODS.includes(method)) {
+    const query = new URLSearchParams(Object.entries(payload).map(([key, value]) => [key, String(value)])).toString();
+    const separator = url.includes('?') ? '&' : '?';
+    return { method, url: query ? `${url}${separator}${query}` : url, headers: {} };
+  }
+  return {
+    method,
+    url,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  };
+}
+
+// the payload buildRequest put into the query string or the JSON body, along with query parameters next to a body
+export const readPayload = (request: ServiceRequest): Record<string, unknown> => {
+  const query = Object.fromEntries(new URL(request.url, 'http://localhost').searchParams);
+  if (request.body === undefined) {
+    return query;
+  }
+  try {
+    const body = JSON.parse(request.body);
+    return typeof body === 'object' && body !== null ? { ...query, ...body } : query;
+  } catch {
+    return query;
+  }
+}
+
+// the body is read chunk by chunk, so event streams and chunked responses can be shown while they arrive
+// stopping through signal once the body has started keeps what arrived so far instead of throwing
+export const executeRequest = async (request: ServiceRequest, signal?: AbortSignal, onProgress?: ProgressListener): Promise<ServiceResponse> => {
+  const started = performance.now();
+  const elapsed = () => Math.round(performance.now() - started);
+  const response = await fetch(request.url, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body,
+    signal,
+  });
+  const head = {
+    status: response.status,
+    statusText: response.statusText,
+    headers: [...response.headers.entries()],
+  };
+  const reader = response.body?.getReader();
+  if (!reader) {
+    const body = await response.text();
+    return { ...head, latency: elapsed(), firstByte: elapsed(), body };
+  }
+  const decoder = new TextDecoder();
+  let body = '';
+  let firstByte: number | undefined;
+  try {
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      firstByte ??= elapsed();
+      body += decoder.decode(chunk.value, { stream: true });
+      onProgress?.({ ...head, latency: elapsed(), firstByte, body });
+    }
+  } catch (error) {
+    if (signal?.aborted && firstByte !== undefined) {
+      return { ...head, latency: elapsed(), firstByte, body, stopped: true };
+    }
+    throw error;
+  }
+  return { ...head, latency: elapsed(), firstByte, body: body + decoder.decode() };
+}
+
+// a single attempt, aborted by signal or by the timeout unless the body has started to arrive by then
+const executeAttempt = async (request: ServiceRequest, timeout: number, { signal, onProgress }: ExecuteOptions) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new RequestTimeoutError(timeout)), timeout);
+  const cancel = () => controller.abort(signal?.reason);
+  signal?.addEventListener('abort', cancel);
+  try {
+    return await executeRequest(request, controller.signal, partial => {
+      // a stream may take as long as it needs once it is flowing
+      clearTimeout(timer);
+      onProgress?.(partial);
+    });
+  } catch (error) {
+    throw controller.signal.reason instanceof RequestTimeoutError ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+const wait = (milliseconds: number, signal?: AbortSignal) => new Promise<void>((resolve, reject) => {
+  const stop = () => {
+    clearTimeout(timer);
+    reject(signal?.reason);
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', stop);
+    resolve();
+  }, milliseconds);
+  signal?.addEventListener('abort', stop, { once: true });
+});
+
+// sends request under the policy, retrying GETs with exponential backoff
+// onAttempt hears about every attempt, the failed ones included; a cancelled request throws signal.reason
+export const executeWithPolicy = async (request: ServiceRequest, policy: RequestPolicy, options: ExecuteOptions = {}): Promise<ServiceResponse> => {
+  const { signal, onAttempt } = options;
+  const attempts = RETRY_METHODS.includes(request.method) ? policy.retries + 1 : 1;
+  for (let number = 1; ; number++) {
+    const started = performance.now();
+    const last = number >= attempts;
+    try {
+      const response = await executeAttempt(request, policy.timeout, options);
+      onAttempt?.({ number, latency: response.latency, status: response.status });
+      if (last || !RETRY_STATUSES.includes(response.status)) {
+        return response;
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      onAttempt?.({ number, latency: Math.round(performance.now() - started), error: String(error) });
+      if (last) {
+        throw error;
+      }
+    }
+    await wait(RETRY_DELAY_MS * 2 ** (number - 1), signal);
+  }
+}
+
+// pretty-prints JSON bodies and leaves everything else untouched
+export const formatBody = (body: string) => {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    return body;
+  }
+}
@@ -0,0 +1,239 @@
+// code snippets for a viewer request, and the way back from a pasted cURL command
+
+import { isHttpMethod, ServiceRequest } from './request';
+
+export const SNIPPET_LANGUAGES = ['curl', 'fetch', 'python', 'httpie'] as const;
+
+export type SnippetLanguage = typeof SNIPPET_LANGUAGES[number];
+
+export const SNIPPET_LABELS: Record<SnippetLanguage, string> = {
+  curl: 'cURL',
+  fetch: 'JavaScript fetch',
+  python: 'Python requests',
+  httpie: 'HTTPie',
+};
+
+// single quotes keep everything literal in POSIX shells, a quote itself is closed, escaped and reopened
+const shellQuote = (value: string) => (/^[\w@%+=:,./-]+$/.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`);
+
+const parseJson = (body: string): unknown => {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return undefined;
+  }
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> => (
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+);
+
+const isJsonRequest = (request: ServiceRequest) => (
+  Object.entries(request.headers).some(([name, value]) => name.toLowerCase() === 'content-type' && value.includes('json'))
+);
+
+const pythonLiteral = (value: unknown, indent = ''): string => {
+  if (value === null || value === undefined) {
+    return 'None';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'True' : 'False';
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    return JSON.stringify(value);
+  }
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : `[\n${value.map(item => `${inner}${pythonLiteral(item, inner)},\n`).join('')}${indent}]`;
+  }
+  const entries = Object.entries(value);
+  return entries.length === 0
+    ? '{}'
+    : `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${pythonLiteral(item, inner)},\n`).join('')}${indent}}`;
+}
+
+const curlSnippet = (request: ServiceRequest, url: string) => [
+  `curl${request.method === 'GET' ? '' : ` -X ${request.method}`} ${shellQuote(url)}`,
+  ...Object.entries(request.headers).map(([name, value]) => `-H ${shellQuote(`${name}: ${value}`)}`),
+  ...(request.body === undefined ? [] : [`-d ${shellQuote(request.body)}`]),
+].join(' \\\n  ');
+
+const fetchSnippet = (request: ServiceRequest, url: string) => {
+  const json = request.body !== undefined && isJsonRequest(request) ? parseJson(request.body) : undefined;
+  const options = [
+    request.method === 'GET' ? undefined : `  method: ${JSON.stringify(request.method)},`,
+    Object.keys(request.headers).length === 0 ? undefined : `  headers: ${JSON.stringify(request.headers, null, 2).replace(/\n/g, '\n  ')},`,
+    request.body === undefined
+      ? undefined
+      : `  body: ${json === undefined ? JSON.stringify(request.body) : `JSON.stringify(${JSON.stringify(json, null, 2).replace(/\n/g, '\n  ')})`},`,
+  ].filter(Boolean);
+  return [
+    `const response = await fetch(${JSON.stringify(url)}${options.length === 0 ? '' : `, {\n${options.join('\n')}\n}`});`,
+    'console.log(response.status, await response.text());',
+  ].join('\n');
+}
+
+const pythonSnippet = (request: ServiceRequest, url: string) => {
+  const json = request.body !== undefined && isJsonRequest(request) ? parseJson(request.body) : undefined;
+  // requests sets the JSON content type on its own
+  const headers = Object.fromEntries(Object.entries(request.headers).filter(([name]) => json === undefined || name.toLowerCase() !== 'content-type'));
+  const args = [
+    JSON.stringify(url),
+    Object.keys(headers).length === 0 ? undefined : `headers=${pythonLiteral(headers)}`,
+    request.body === undefined ? undefined : json === undefined ? `data=${JSON.stringify(request.body)}` : `json=${pythonLiteral(json)}`,
+  ].filter(Boolean);
+  return [
+    'import requests',
+    '',
+    `response = requests.request(${JSON.stringify(request.method)}, ${args.join(', ')})`,
+    'print(response.status_code, response.text)',
+  ].join('\n');
+}
+
+// HTTPie sends key=value pairs as a JSON object, := for anything that is not a string
+const httpieSnippet = (request: ServiceRequest, url: string) => {
+  const json = request.body !== undefined && isJsonRequest(request) ? parseJson(request.body) : undefined;
+  const items = isRecord(json)
+    ? Object.entries(json).map(([key, value]) => shellQuote(typeof value === 'string' ? `${key}=${value}` : `${key}:=${JSON.stringify(value)}`))
+    : [];
+  const headers = Object.entries(request.headers)
+    .filter(([name]) => !isRecord(json) || name.toLowerCase() !== 'content-type')
+    .map(([name, value]) => shellQuote(`${name}:${value}`));
+  const command = ['http', request.method, shellQuote(url), ...headers, ...items].join(' ');
+  // anything HTTPie cannot express as items goes in verbatim
+  return request.body !== undefined && !isRecord(json) ? `${command} --raw ${shellQuote(request.body)}` : command;
+}
+
+const SNIPPETS: Record<SnippetLanguage, (request: ServiceRequest, url: string) => string> = {
+  curl: curlSnippet,
+  fetch: fetchSnippet,
+  python: pythonSnippet,
+  httpie: httpieSnippet,
+};
+
+// origin turns the same-origin URLs of the viewer into ones that work outside the browser
+export const toSnippet = (language: SnippetLanguage, request: ServiceRequest, origin: string) => (
+  SNIPPETS[language](request, new URL(request.url, origin).toString())
+);
+
+// splits a shell command into words, following quotes, backslashes and line continuations
+const shellWords = (command: string) => {
+  const words: string[] = [];
+  let word: string | undefined;
+  let quote: '\'' | '"' | undefined;
+  for (let index = 0; index < command.length; index++) {
+    const char = command[index];
+    if (quote === '\'') {
+      if (char === '\'') {
+        quote = undefined;
+      } else {
+        word += char;
+      }
+    } else if (char === '\\') {
+      const next = command[++index];
+      if (next === '\n' || next === '\r') {
+        // a line continuation, \r\n counts as one line break
+        index += next === '\r' && command[index + 1] === '\n' ? 1 : 0;
+        continue;
+      }
+      if (next === undefined) {
+        break;
+      }
+      // inside double quotes a backslash only escapes the characters that are special there
+      word = (word ?? '') + (quote === '"' && !'"\\$`'.includes(next) ? `\\${next}` : next);
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = undefined;
+      } else {
+        word += char;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+      word ??= '';
+    } else if (/\s/.test(char)) {
+      if (word !== undefined) {
+        words.push(word);
+        word = undefined;
+      }
+    } else {
+      word = (word ?? '') + char;
+    }
+  }
+  if (quote) {
+    throw new Error(`The command has an unclosed ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (word !== undefined) {
+    words.push(word);
+  }
+  return words;
+}
+
+const DATA_FLAGS = ['-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--json'];
+
+// flags with a value that do not matter for the form
+const IGNORED_VALUE_FLAGS = ['-o', '--output', '-u', '--user', '-A', '--user-agent', '-e', '--referer', '-m', '--max-time', '--connect-timeout'];
+
+// reads the parts of a cURL command the viewer can show: method, URL, headers and body
+export const parseCurl = (command: string): ServiceRequest => {
+  const words = shellWords(command.trim());
+  if (words[0] !== 'curl') {
+    throw new Error('A cURL command starts with curl');
+  }
+  let method: string | undefined;
+  let url: string | undefined;
+  const positional: string[] = [];
+  let get = false;
+  const headers: Record<string, string> = {};
+  const data: string[] = [];
+  for (let index = 1; index < words.length; index++) {
+    const word = words[index];
+    const value = () => {
+      const next = words[++index];
+      if (next === undefined) {
+        throw new Error(`${word} needs a value`);
+      }
+      return next;
+    }
+    if (word === '-X' || word === '--request') {
+      method = value().toUpperCase();
+    } else if (word === '-H' || word === '--header') {
+      const header = value();
+      const colon = header.indexOf(':');
+      if (colon > 0) {
+        headers[header.slice(0, colon).trim()] = header.slice(colon + 1).trim();
+      }
+    } else if (word === '--data-urlencode') {
+      // name=content sends content encoded, a value without = is encoded as a whole
+      const [name, ...content] = value().split('=');
+      data.push(content.length > 0 ? `${name}=${encodeURIComponent(content.join('='))}` : encodeURIComponent(name));
+    } else if (DATA_FLAGS.includes(word)) {
+      data.push(value());
+      if (word === '--json') {
+        headers['Content-Type'] ??= 'application/json';
+      }
+    } else if (word === '-G' || word === '--get') {
+      get = true;
+    } else if (word === '--url') {
+      url = value();
+    } else if (IGNORED_VALUE_FLAGS.includes(word)) {
+      value();
+    } else if (!word.startsWith('-')) {
+      positional.push(word);
+    }
+  }
+  // the value of a flag this parser does not know ends up here as well, so a word with a scheme wins
+  url ??= positional.find(word => /^[a-z][a-z0-9+.-]*:\/\//i.test(word)) ?? positional[0];
+  if (!url) {
+    throw new Error('The command has no URL');
+  }
+  const resolved = method ?? (data.length > 0 && !get ? 'POST' : 'GET');
+  if (!isHttpMethod(resolved)) {
+    throw new Error(`The viewer cannot send ${resolved} requests`);
+  }
+  if (get && data.length > 0) {
+    // -G moves the data into the query string
+    const separator = url.includes('?') ? '&' : '?';
+    return { method: resolved, url: `${url}${separator}${data.join('&')}`, headers };
+  }
+  return { method: resolved, url, headers, body: data.length > 0 ? data.join('&') : undefined };
+}
@@ -0,0 +1,63 @@
+// server-sent events in a response body, read into the text they carry
+
+import { ServiceResponse } from './request';
+
+export interface StreamEvent {
+  event: string;
+  data: string;
+  id?: string;
+}
+
+// fields token streams commonly put the next piece of text in
+const TEXT_FIELDS = ['token', 'text', 'content', 'delta'];
+
+// sent by OpenAI style streams after the last token
+const DONE = '[DONE]';
+
+const contentType = (response: ServiceResponse) => (
+  response.headers.find(([name]) => name.toLowerCase() === 'content-type')?.[1] ?? ''
+);
+
+export const isEventStream = (response: ServiceResponse) => contentType(response).includes('text/event-stream');
+
+// events are only complete once the blank line after them has arrived, a half received one is left out
+export const parseEventStream = (body: string): StreamEvent[] => {
+  const blocks = body.replace(/\r\n?/g, '\n').split('\n\n');
+  return blocks.slice(0, -1).flatMap(block => {
+    const event: StreamEvent = { event: 'message', data: '' };
+    const data: string[] = [];
+    block.split('\n').forEach(line => {
+      // lines starting with a colon are comments, often sent to keep the connection open
+      if (line === '' || line.startsWith(':')) {
+        return;
+      }
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'data') {
+        data.push(value);
+      } else if (field === 'event') {
+        event.event = value;
+      } else if (field === 'id') {
+        event.id = value;
+      }
+    });
+    event.data = data.join('\n');
+    return data.length > 0 ? [event] : [];
+  });
+}
+
+// the text of one event: a JSON object with a text field, or the data as it is
+const eventText = (data: string) => {
+  try {
+    const parsed = JSON.parse(data);
+    const field = TEXT_FIELDS.find(name => typeof parsed?.[name] === 'string');
+    return field ? parsed[field] as string : data;
+  } catch {
+    return data;
+  }
+}
+
+export const streamText = (events: StreamEvent[]) => (
+  events.filter(event => event.event === 'message' && event.data !== DONE).map(event => eventText(event.data)).join('')
+);
@@ -0,0 +1,76 @@
+// form validation for descriptor fields
+
+import { ServiceDescriptor, ServiceField, serviceUrl } from './descriptors';
+import { buildRequest, HttpMethod } from './request';
+
+export type FieldErrors = Record<string, string>;
+
+export const validateField = (field: ServiceField, value: string): string | undefined => {
+  if (value === '') {
+    return field.required ? `${field.label} is required` : undefined;
+  }
+  if (field.type === 'number') {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      return `${field.label} must be a number`;
+    }
+    if (field.min !== undefined && number < field.min) {
+      return `${field.label} must be at least ${field.min}`;
+    }
+    if (field.max !== undefined && number > field.max) {
+      return `${field.label} must be at most ${field.max}`;
+    }
+  }
+  if (field.maxLength !== undefined && value.length > field.maxLength) {
+    return `${field.label} must be at most ${field.maxLength} characters`;
+  }
+  if (field.pattern && !new RegExp(`^(?:${field.pattern})$`).test(value)) {
+    return field.patternMessage ?? `${field.label} has an invalid format`;
+  }
+  return undefined;
+}
+
+export const validateValues = (service: ServiceDescriptor, values: Record<string, string>): FieldErrors => {
+  const errors: FieldErrors = {};
+  service.fields.forEach(field => {
+    const error = validateField(field, values[field.name] ?? '');
+    if (error) {
+      errors[field.name] = error;
+    }
+  });
+  return errors;
+}
+
+// the form values for a payload, the reverse of toPayload; keys without a field are dropped
+export const fromPayload = (service: ServiceDescriptor, payload: Record<string, unknown>) => {
+  const values: Record<string, string> = {};
+  service.fields.forEach(field => {
+    const value = payload[field.name];
+    if (value !== undefined && value !== null) {
+      values[field.name] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  });
+  return values;
+}
+
+// converts the raw form strings of the fields at location into what the service expects, dropping empty optional fields
+const collect = (service: ServiceDescriptor, values: Record<string, string>, location?: ServiceField['location']) => {
+  const payload: Record<string, string | number> = {};
+  service.fields.filter(field => field.location === location).forEach(field => {
+    const value = values[field.name] ?? '';
+    if (value !== '') {
+      payload[field.name] = field.type === 'number' ? Number(value) : value;
+    }
+  });
+  return payload;
+}
+
+// the payload of the fields that have no location of their own
+export const toPayload = (service: ServiceDescriptor, values: Record<string, string>) => collect(service, values);
+
+// the request the form values make: path and query fields go into the URL, the others into the payload
+export const toRequest = (service: ServiceDescriptor, method: HttpMethod, values: Record<string, string>) => {
+  const url = serviceUrl(service, values);
+  const query = new URLSearchParams(Object.entries(collect(service, values, 'query')).map(([key, value]) => [key, String(value)])).toString();
+  return buildRequest(query ? `${url}?${query}` : url, method, toPayload(service, values));
+}
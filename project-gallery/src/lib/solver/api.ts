@@ -0,0 +1,33 @@
+// the JSON API of /api/solve, shared by the route handler and the in-browser fallback of the service viewer
+
+import { isSolverMode, parseScope, solve, solveEquation, SolverError } from '.';
+
+export interface SolveReply {
+  status: number;
+  body: unknown;
+}
+
+const failure = (code: string, message: string): SolveReply => ({ status: 400, body: { error: { code, message } } });
+
+// the scope travels with every request, so sessions need no server-side state
+// exact values are written as fraction strings like "1/3", approximations as plain numbers
+export const solveRequest = (term: unknown, mode: unknown = 'evaluate', rawScope: unknown = {}): SolveReply => {
+  if (typeof term !== 'string' || term.trim() === '') {
+    return failure('MISSING_TERM', 'No term provided');
+  }
+  if (!isSolverMode(mode)) {
+    return failure('INVALID_MODE', 'mode must be evaluate or equation');
+  }
+  const scope = parseScope(rawScope);
+  if (!scope) {
+    return failure('INVALID_SCOPE', 'scope must map variable names, not constants or functions, to finite numbers or fractions');
+  }
+  try {
+    return { status: 200, body: mode === 'equation' ? solveEquation(term, scope) : solve(term, scope) };
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return { status: 400, body: error.toJSON() };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,62 @@
+// syntax tree of a parsed term
+// every node remembers the part of the input it was parsed from
+
+import { Value } from './value';
+
+export type BinaryOperator = '+' | '-' | '*' | '/' | '^';
+
+interface Span {
+  start: number;
+  end: number;
+}
+
+export interface NumberNode extends Span {
+  type: 'number';
+  value: Value;
+  raw: string;
+}
+
+export interface UnaryNode extends Span {
+  type: 'unary';
+  operator: '-';
+  operand: Node;
+}
+
+export interface BinaryNode extends Span {
+  type: 'binary';
+  operator: BinaryOperator;
+  left: Node;
+  right: Node;
+  // written without '*', as in 3x or 2(x+1)
+  implicit?: boolean;
+}
+
+export interface VariableNode extends Span {
+  type: 'variable';
+  name: string;
+}
+
+export interface CallNode extends Span {
+  type: 'call';
+  name: string;
+  args: Node[];
+}
+
+// parentheses are kept so the term can be printed the way it was written
+export interface GroupNode extends Span {
+  type: 'group';
+  expression: Node;
+}
+
+export type Node = NumberNode | VariableNode | CallNode | UnaryNode | BinaryNode | GroupNode;
+
+// a whole line of input, either a bare expression or name = expression
+export interface Statement {
+  target?: VariableNode;
+  expression: Node;
+}
+
+export interface Equation {
+  left: Node;
+  right: Node;
+}
@@ -0,0 +1,216 @@
+// solves linear and quadratic equations in one unknown, exactly where the coefficients allow it
+
+import { Equation, Node } from './ast';
+import { SolverError } from './errors';
+import { parseEquation } from './parser';
+import { coefficient, degree, formatPolynomial, subtract, toPolynomial } from './polynomial';
+import { formatNumber } from './format';
+import { print } from './printer';
+import { BIG, gcd, isqrt, Rational } from './rational';
+import { CONSTANTS, Scope } from './scope';
+
+export type EquationKind = 'linear' | 'quadratic' | 'identity' | 'contradiction';
+
+export interface EquationSolution {
+  // fraction or surd such as (5 + √13)/2, a decimal when the equation was not exact
+  exact: string;
+  value: number;
+}
+
+export interface EquationStep {
+  description: string;
+  equation: string;
+}
+
+export interface EquationResult {
+  equation: string;
+  variable: string;
+  kind: EquationKind;
+  solutions: EquationSolution[];
+  steps: EquationStep[];
+}
+
+const DEFAULT_VARIABLE = 'x';
+
+const collectUnknowns = (node: Node, scope: Scope, found: Map<string, Node>) => {
+  switch (node.type) {
+    case 'variable':
+      if (!Object.hasOwn(scope, node.name) && !Object.hasOwn(CONSTANTS, node.name) && !found.has(node.name)) {
+        found.set(node.name, node);
+      }
+      return;
+    case 'call':
+      node.args.forEach(arg => collectUnknowns(arg, scope, found));
+      return;
+    case 'group':
+      collectUnknowns(node.expression, scope, found);
+      return;
+    case 'unary':
+      collectUnknowns(node.operand, scope, found);
+      return;
+    case 'binary':
+      collectUnknowns(node.left, scope, found);
+      collectUnknowns(node.right, scope, found);
+      return;
+  }
+}
+
+const findUnknown = (equation: Equation, scope: Scope) => {
+  const found = new Map<string, Node>();
+  collectUnknowns(equation.left, scope, found);
+  collectUnknowns(equation.right, scope, found);
+  const unknowns = [...found.values()];
+  if (unknowns.length > 1) {
+    const second = unknowns[1];
+    throw new SolverError(
+      'UNSUPPORTED_EQUATION',
+      `Only one unknown is supported, found ${[...found.keys()].join(', ')}`,
+      second.start,
+      second.end - second.start,
+    );
+  }
+  return unknowns[0]?.type === 'variable' ? unknowns[0].name : DEFAULT_VARIABLE;
+}
+
+const MAX_TRIAL_FACTOR = BigInt(100_000);
+
+// splits value into k^2 * m with m as small as trial division finds it
+const extractSquare = (value: bigint): [bigint, bigint] => {
+  let outside = BIG.one;
+  let inside = value;
+  for (let factor = BIG.two; factor * factor <= inside && factor < MAX_TRIAL_FACTOR; factor++) {
+    while (inside % (factor * factor) === BIG.zero) {
+      inside /= factor * factor;
+      outside *= factor;
+    }
+  }
+  const root = isqrt(inside);
+  if (root * root === inside) {
+    return [outside * root, BIG.one];
+  }
+  return [outside, inside];
+}
+
+// u ± v√m written over a common denominator, e.g. (5 ± √13)/2
+const formatSurd = (u: Rational, v: Rational, radicand: bigint, sign: 1 | -1) => {
+  const denominator = (u.denominator * v.denominator) / gcd(u.denominator, v.denominator);
+  let a = u.numerator * (denominator / u.denominator);
+  let b = v.numerator * (denominator / v.denominator);
+  let c = denominator;
+  const common = gcd(gcd(a, b), c);
+  [a, b, c] = [a / common, b / common, c / common];
+
+  const root = `${b === BIG.one ? '' : b}√${radicand}`;
+  const numerator = a === BIG.zero
+    ? `${sign < 0 ? '-' : ''}${root}`
+    : `${a} ${sign < 0 ? '-' : '+'} ${root}`;
+  if (c === BIG.one) {
+    return numerator;
+  }
+  return a === BIG.zero ? `${numerator}/${c}` : `(${numerator})/${c}`;
+}
+
+const solution = (value: Rational, exact: boolean): EquationSolution => ({
+  exact: exact ? value.toString() : formatNumber(value.toNumber()),
+  value: value.toNumber(),
+});
+
+export const solveEquation = (input: string, scope: Scope = {}): EquationResult => {
+  const equation = parseEquation(input);
+  const variable = findUnknown(equation, scope);
+  const left = toPolynomial(equation.left, variable, scope);
+  const right = toPolynomial(equation.right, variable, scope);
+  const exact = left.exact && right.exact;
+  const polynomial = subtract(left.polynomial, right.polynomial);
+  const order = degree(polynomial);
+
+  const written = `${print(equation.left).text} = ${print(equation.right).text}`;
+  const steps: EquationStep[] = [{ description: 'Equation', equation: written }];
+  const rightIsZero = degree(right.polynomial) === -Infinity;
+  if (!rightIsZero) {
+    steps.push({
+      description: 'Bring every term to the left side',
+      equation: `${print(equation.left).text} - (${print(equation.right).text}) = 0`,
+    });
+  }
+  steps.push({ description: 'Expand and simplify', equation: `${formatPolynomial(polynomial, variable)} = 0` });
+
+  const result = (kind: EquationKind, solutions: EquationSolution[]): EquationResult => {
+    // an exact solution can still be beyond the range of its approximate value
+    if (solutions.some(({ value }) => !Number.isFinite(value))) {
+      throw new SolverError('OVERFLOW', 'The solutions are too large to compute', 0, input.length);
+    }
+    return {
+      equation: written,
+      variable,
+      kind,
+      solutions,
+      steps,
+    };
+  }
+
+  if (order === -Infinity) {
+    steps.push({ description: 'Both sides are always equal', equation: `every ${variable} is a solution` });
+    return result('identity', []);
+  }
+  if (order === 0) {
+    steps.push({ description: 'The sides can never be equal', equation: 'no solution' });
+    return result('contradiction', []);
+  }
+  if (order > 2) {
+    throw new SolverError(
+      'UNSUPPORTED_EQUATION',
+      `Only linear and quadratic equations can be solved, this one has degree ${order}`,
+      0,
+      input.length,
+    );
+  }
+
+  const c = coefficient(polynomial, 0);
+  const b = coefficient(polynomial, 1);
+
+  if (order === 1) {
+    const value = c.negate().divide(b);
+    steps.push({ description: `Isolate ${variable}`, equation: `${formatPolynomial([Rational.ZERO, b], variable)} = ${c.negate()}` });
+    steps.push({ description: `Divide by ${b}`, equation: `${variable} = ${solution(value, exact).exact}` });
+    return result('linear', [solution(value, exact)]);
+  }
+
+  const a = coefficient(polynomial, 2);
+  const discriminant = b.multiply(b).subtract(Rational.fromInteger(4).multiply(a).multiply(c));
+  const twoA = Rational.fromInteger(2).multiply(a);
+  const vertex = b.negate().divide(twoA);
+  steps.push({ description: 'Read off the coefficients', equation: `a = ${a}, b = ${b}, c = ${c}` });
+  steps.push({ description: 'Discriminant', equation: `D = b^2 - 4ac = ${discriminant}` });
+
+  if (discriminant.sign() < 0) {
+    steps.push({ description: 'The discriminant is negative', equation: 'no real solution' });
+    return result('quadratic', []);
+  }
+  if (discriminant.isZero()) {
+    steps.push({ description: 'The discriminant is zero, so there is one solution', equation: `${variable} = -b/(2a) = ${solution(vertex, exact).exact}` });
+    return result('quadratic', [solution(vertex, exact)]);
+  }
+
+  // √(p/q) = √(p·q)/q, then square factors are moved out of the root
+  const [outside, radicand] = extractSquare(discriminant.numerator * discriminant.denominator);
+  const offset = new Rational(outside, discriminant.denominator).divide(twoA);
+  const spread = offset.sign() < 0 ? offset.negate() : offset;
+  const roots: EquationSolution[] = ([1, -1] as const).map(sign => {
+    if (radicand === BIG.one) {
+      return solution(sign > 0 ? vertex.add(spread) : vertex.subtract(spread), exact);
+    }
+    const value = vertex.toNumber() + sign * spread.toNumber() * Math.sqrt(Number(radicand));
+    return {
+      exact: exact ? formatSurd(vertex, spread, radicand, sign) : formatNumber(value),
+      value,
+    };
+  });
+
+  steps.push({ description: 'Quadratic formula', equation: `${variable} = (-b ± √D)/(2a)` });
+  steps.push({
+    description: 'Solutions',
+    equation: roots.map((root, index) => `${variable}${index === 0 ? '₁' : '₂'} = ${root.exact}`).join(', '),
+  });
+  return result('quadratic', roots);
+}
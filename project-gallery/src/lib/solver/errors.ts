@@ -0,0 +1,58 @@
+// errors raised while tokenizing, parsing or evaluating a term
+
+export type SolverErrorCode =
+  | 'EMPTY_TERM'
+  | 'UNEXPECTED_CHARACTER'
+  | 'UNEXPECTED_TOKEN'
+  | 'UNEXPECTED_END'
+  | 'UNMATCHED_PAREN'
+  | 'TERM_TOO_LONG'
+  | 'NESTING_TOO_DEEP'
+  | 'DIVISION_BY_ZERO'
+  | 'UNKNOWN_VARIABLE'
+  | 'UNKNOWN_FUNCTION'
+  | 'WRONG_ARGUMENT_COUNT'
+  | 'INVALID_ARGUMENT'
+  | 'OVERFLOW'
+  | 'INVALID_ASSIGNMENT'
+  | 'UNSUPPORTED_EQUATION';
+
+export interface SolverErrorBody {
+  error: {
+    code: SolverErrorCode;
+    message: string;
+    offset: number;
+    length: number;
+    expected?: string[];
+  };
+}
+
+export class SolverError extends Error {
+  readonly code: SolverErrorCode;
+  // character offset and length of the part of the input the error refers to
+  readonly offset: number;
+  readonly length: number;
+  // what would have been valid at offset
+  readonly expected?: string[];
+
+  constructor(code: SolverErrorCode, message: string, offset: number, length = 1, expected?: string[]) {
+    super(message);
+    this.name = 'SolverError';
+    this.code = code;
+    this.offset = offset;
+    this.length = length;
+    this.expected = expected;
+  }
+
+  toJSON(): SolverErrorBody {
+    return {
+      error: {
+        code: this.code,
+        message: this.message,
+        offset: this.offset,
+        length: this.length,
+        expected: this.expected,
+      },
+    };
+  }
+}
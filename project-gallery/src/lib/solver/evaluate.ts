@@ -0,0 +1,102 @@
+// evaluates a syntax tree
+
+import { BinaryNode, CallNode, Node, Statement } from './ast';
+import { SolverError } from './errors';
+import { print } from './printer';
+import { CONSTANTS, FUNCTIONS, isReserved, Scope } from './scope';
+import { add, divide, isExact, isZero, multiply, negate, power, sign, subtract, Value } from './value';
+
+const spanOf = (node: Node) => [node.start, node.end - node.start] as const;
+
+const operate = (node: BinaryNode, left: Value, right: Value): Value => {
+  switch (node.operator) {
+    case '+':
+      return add(left, right);
+    case '-':
+      return subtract(left, right);
+    case '*':
+      return multiply(left, right);
+    case '/':
+      if (isZero(right)) {
+        throw new SolverError('DIVISION_BY_ZERO', 'Division by zero', ...spanOf(node.right));
+      }
+      return divide(left, right);
+    case '^':
+      if (isZero(left) && sign(right) < 0) {
+        throw new SolverError('DIVISION_BY_ZERO', 'Division by zero', ...spanOf(node));
+      }
+      return power(left, right);
+  }
+}
+
+// doubles overflow to Infinity and leave the real numbers as NaN, JSON would write both as null
+export const applyOperator = (node: BinaryNode, left: Value, right: Value) => {
+  const value = operate(node, left, right);
+  if (isExact(value) || Number.isFinite(value)) {
+    return value;
+  }
+  if (Number.isNaN(value)) {
+    throw new SolverError('INVALID_ARGUMENT', `${print(node).text} is not a real number`, ...spanOf(node));
+  }
+  throw new SolverError('OVERFLOW', `${print(node).text} is too large to compute`, ...spanOf(node));
+}
+
+export const lookup = (name: string, node: Node, scope: Scope) => {
+  if (Object.hasOwn(scope, name)) {
+    return scope[name];
+  }
+  if (Object.hasOwn(CONSTANTS, name)) {
+    return CONSTANTS[name];
+  }
+  throw new SolverError('UNKNOWN_VARIABLE', `Unknown variable "${name}"`, ...spanOf(node));
+}
+
+export const applyFunction = (node: CallNode, args: Value[]) => {
+  const fn = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : undefined;
+  if (!fn) {
+    throw new SolverError('UNKNOWN_FUNCTION', `Unknown function "${node.name}"`, node.start, node.name.length, Object.keys(FUNCTIONS));
+  }
+  if (args.length < fn.minArgs || args.length > fn.maxArgs) {
+    const expected = fn.minArgs === fn.maxArgs ? `${fn.minArgs}` : `${fn.minArgs} to ${fn.maxArgs}`;
+    const noun = fn.maxArgs === 1 ? 'argument' : 'arguments';
+    throw new SolverError('WRONG_ARGUMENT_COUNT', `${node.name} takes ${expected} ${noun} but got ${args.length}`, ...spanOf(node));
+  }
+  const value = fn.apply(args);
+  if (!isExact(value) && Number.isNaN(value)) {
+    throw new SolverError('INVALID_ARGUMENT', `${node.name} is not defined for ${args.join(', ')}`, ...spanOf(node));
+  }
+  if (!isExact(value) && !Number.isFinite(value)) {
+    throw new SolverError('OVERFLOW', `${print(node).text} is too large to compute`, ...spanOf(node));
+  }
+  return value;
+}
+
+export const evaluate = (node: Node, scope: Scope = {}): Value => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      return lookup(node.name, node, scope);
+    case 'call':
+      return applyFunction(node, node.args.map(arg => evaluate(arg, scope)));
+    case 'group':
+      return evaluate(node.expression, scope);
+    case 'unary':
+      return negate(evaluate(node.operand, scope));
+    case 'binary':
+      return applyOperator(node, evaluate(node.left, scope), evaluate(node.right, scope));
+  }
+}
+
+// evaluates a statement and returns the scope with its assignment applied
+export const execute = (statement: Statement, scope: Scope = {}) => {
+  const value = evaluate(statement.expression, scope);
+  if (!statement.target) {
+    return { value, scope };
+  }
+  const { name } = statement.target;
+  if (isReserved(name)) {
+    throw new SolverError('INVALID_ASSIGNMENT', `"${name}" is built in and can not be assigned`, ...spanOf(statement.target));
+  }
+  return { value, scope: { ...scope, [name]: value } };
+}
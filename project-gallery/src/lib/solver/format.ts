@@ -0,0 +1,101 @@
+// how results are displayed: as a fraction, a decimal or in scientific notation
+
+import { BIG, Rational } from './rational';
+import { isExact, Value } from './value';
+
+export const NUMBER_NOTATIONS = ['fraction', 'decimal', 'scientific'] as const;
+
+export type NumberNotation = typeof NUMBER_NOTATIONS[number];
+
+export interface NumberFormat {
+  notation: NumberNotation;
+  // decimal places for decimal notation, digits after the first one for scientific notation
+  digits: number;
+}
+
+export const MAX_DIGITS = 100;
+
+export const DEFAULT_FORMAT: NumberFormat = { notation: 'fraction', digits: 10 };
+
+export const isNumberNotation = (value: unknown): value is NumberNotation => (
+  (NUMBER_NOTATIONS as readonly unknown[]).includes(value)
+);
+
+const abs = (value: bigint) => (value < BIG.zero ? -value : value);
+
+// numerator / denominator rounded half away from zero
+const roundedQuotient = (numerator: bigint, denominator: bigint) => {
+  const quotient = (BIG.two * abs(numerator) + denominator) / (BIG.two * denominator);
+  return numerator < BIG.zero ? -quotient : quotient;
+}
+
+// writes integer / 10^places as a decimal, dropping trailing zeros
+const placeDecimalPoint = (integer: bigint, places: number) => {
+  const digits = abs(integer).toString().padStart(places + 1, '0');
+  const whole = digits.slice(0, digits.length - places);
+  const fraction = digits.slice(digits.length - places).replace(/0+$/, '');
+  const sign = integer < BIG.zero ? '-' : '';
+  return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+const trimFixed = (text: string) => (text.includes('.') ? text.replace(/\.?0+$/, '') : text);
+
+const exactDecimal = (value: Rational, digits: number) => (
+  placeDecimalPoint(roundedQuotient(value.numerator * BIG.ten ** BigInt(digits), value.denominator), digits)
+);
+
+// numerator and denominator of value * 10^shift, left unreduced since the gcd of huge fractions takes seconds
+const scaledBy = (value: Rational, shift: number): [bigint, bigint] => (shift >= 0
+  ? [value.numerator * BIG.ten ** BigInt(shift), value.denominator]
+  : [value.numerator, value.denominator * BIG.ten ** BigInt(-shift)]);
+
+// the power of ten of the leading digit, exact for fractions of any size
+const exponentOf = (value: Rational) => {
+  let exponent = abs(value.numerator).toString().length - value.denominator.toString().length;
+  const reaches = (power: number) => {
+    const [numerator, denominator] = scaledBy(value, -power);
+    return abs(numerator) >= denominator;
+  }
+  while (!reaches(exponent)) {
+    exponent--;
+  }
+  while (reaches(exponent + 1)) {
+    exponent++;
+  }
+  return exponent;
+}
+
+const exactScientific = (value: Rational, digits: number) => {
+  if (value.isZero()) {
+    return `${(0).toFixed(digits)}e+0`;
+  }
+  let exponent = exponentOf(value);
+  let mantissa = roundedQuotient(...scaledBy(value, digits - exponent));
+  // rounding 9.99 up to 10.0 moves the leading digit
+  if (abs(mantissa).toString().length > digits + 1) {
+    mantissa /= BIG.ten;
+    exponent++;
+  }
+  const text = abs(mantissa).toString();
+  const sign = mantissa < BIG.zero ? '-' : '';
+  const fraction = text.slice(1);
+  return `${sign}${text[0]}${fraction ? `.${fraction}` : ''}e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+export const formatNumber = (value: Value, format: NumberFormat = DEFAULT_FORMAT) => {
+  const digits = Math.min(Math.max(Math.trunc(format.digits), 0), MAX_DIGITS);
+  switch (format.notation) {
+    case 'fraction':
+      return String(value);
+    case 'decimal':
+      if (isExact(value)) {
+        return exactDecimal(value, digits);
+      }
+      return Number.isFinite(value) && Math.abs(value) < 1e21 ? trimFixed(value.toFixed(digits)) : String(value);
+    case 'scientific':
+      if (isExact(value)) {
+        return exactScientific(value, digits);
+      }
+      return Number.isFinite(value) ? value.toExponential(digits) : String(value);
+  }
+}
@@ -0,0 +1,58 @@
+// term solver
+// pure TypeScript, so it runs in route handlers and in the browser alike
+
+import { Node } from './ast';
+import { execute } from './evaluate';
+import { parseStatement } from './parser';
+import { Scope } from './scope';
+import { derive, Step } from './steps';
+import { Value } from './value';
+
+export { solveEquation } from './equation';
+export type { EquationKind, EquationResult, EquationSolution, EquationStep } from './equation';
+export { SolverError } from './errors';
+export type { SolverErrorBody, SolverErrorCode } from './errors';
+export { parse, parseEquation, parseStatement } from './parser';
+export { evaluate, execute } from './evaluate';
+export { DEFAULT_FORMAT, formatNumber, isNumberNotation, MAX_DIGITS, NUMBER_NOTATIONS } from './format';
+export type { NumberFormat, NumberNotation } from './format';
+export { print } from './printer';
+export { Rational } from './rational';
+export { CONSTANTS, FUNCTIONS, parseScope } from './scope';
+export type { Equation, Node, Statement } from './ast';
+export type { Scope } from './scope';
+export type { Step } from './steps';
+export { isExact, parseValue, toNumber } from './value';
+export type { Value } from './value';
+
+export const SOLVER_MODES = ['evaluate', 'equation'] as const;
+
+export type SolverMode = typeof SOLVER_MODES[number];
+
+export const isSolverMode = (value: unknown): value is SolverMode => (SOLVER_MODES as readonly unknown[]).includes(value);
+
+export interface SolveResult {
+  term: string;
+  // a fraction whenever the term could be computed exactly
+  result: Value;
+  tree: Node;
+  // reductions in evaluation order, the last one yields the result
+  steps: Step[];
+  // name the result was assigned to, for input like x = 3*4
+  variable?: string;
+  // the scope after the term was evaluated
+  scope: Scope;
+}
+
+export const solve = (term: string, scope: Scope = {}): SolveResult => {
+  const statement = parseStatement(term);
+  const { value, scope: nextScope } = execute(statement, scope);
+  return {
+    term,
+    result: value,
+    tree: statement.expression,
+    steps: derive(statement.expression, scope),
+    variable: statement.target?.name,
+    scope: nextScope,
+  };
+}
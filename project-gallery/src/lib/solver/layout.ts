@@ -0,0 +1,89 @@
+// positions the nodes of a syntax tree for drawing
+// leaves are spread evenly from left to right, inner nodes sit centred above their children
+
+import { Node } from './ast';
+
+export interface LayoutNode {
+  id: number;
+  label: string;
+  // column and depth, in units of one node
+  x: number;
+  y: number;
+  leaf: boolean;
+  node: Node;
+}
+
+export interface LayoutEdge {
+  from: number;
+  to: number;
+}
+
+export interface TreeLayout {
+  nodes: LayoutNode[];
+  edges: LayoutEdge[];
+  width: number;
+  height: number;
+}
+
+const children = (node: Node): Node[] => {
+  switch (node.type) {
+    case 'number':
+    case 'variable':
+      return [];
+    case 'call':
+      return node.args;
+    case 'group':
+      return [node.expression];
+    case 'unary':
+      return [node.operand];
+    case 'binary':
+      return [node.left, node.right];
+  }
+}
+
+const label = (node: Node) => {
+  switch (node.type) {
+    case 'number':
+      return node.raw;
+    case 'variable':
+    case 'call':
+      return node.name;
+    case 'group':
+      return '( )';
+    case 'unary':
+      // minus sign, so negation can be told apart from subtraction
+      return '\u2212';
+    case 'binary':
+      return node.operator;
+  }
+}
+
+// parentheses carry no meaning in the tree, so groups are skipped
+const skipGroups = (node: Node): Node => (node.type === 'group' ? skipGroups(node.expression) : node);
+
+export const layoutTree = (tree: Node): TreeLayout => {
+  const nodes: LayoutNode[] = [];
+  const edges: LayoutEdge[] = [];
+  let nextLeaf = 0;
+  let height = 0;
+
+  const place = (node: Node, depth: number): LayoutNode => {
+    const id = nodes.length;
+    const placed: LayoutNode = { id, label: label(node), x: 0, y: depth, leaf: false, node };
+    nodes.push(placed);
+    height = Math.max(height, depth + 1);
+
+    const placedChildren = children(node).map(child => place(skipGroups(child), depth + 1));
+    if (placedChildren.length === 0) {
+      placed.leaf = true;
+      placed.x = nextLeaf++;
+    } else {
+      placed.x = placedChildren.reduce((sum, child) => sum + child.x, 0) / placedChildren.length;
+      placedChildren.forEach(child => edges.push({ from: id, to: child.id }));
+    }
+    return placed;
+  }
+
+  place(skipGroups(tree), 0);
+  return { nodes, edges, width: nextLeaf, height };
+}
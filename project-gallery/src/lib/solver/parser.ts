@@ -0,0 +1,215 @@
+// recursive descent parser for arithmetic terms
+//
+// statement  := (name '=')? expression
+// equation   := expression '=' expression
+// expression := term (('+' | '-') term)*
+// term       := unary (('*' | '/') unary | power)*
+// unary      := '-' unary | power
+// power      := primary ('^' unary)?
+// primary    := number | name '(' arguments ')' | name | '(' expression ')'
+// arguments  := expression (',' expression)*
+//
+// '^' binds tighter than unary minus and is right associative, so -2^2 = -4 and 2^3^2 = 512
+// a name or '(' directly after a factor multiplies implicitly, so 3x^2 = 3*(x^2)
+//
+// the length and nesting limits keep evaluating and printing the tree well inside the call stack
+
+import { BinaryNode, BinaryOperator, Equation, Node, Statement } from './ast';
+import { SolverError } from './errors';
+import { Rational } from './rational';
+import { Token, tokenize } from './tokenizer';
+
+export const MAX_TERM_LENGTH = 1000;
+
+export const MAX_NESTING = 100;
+
+const describe = (token: Token) => (token.type === 'end' ? 'end of input' : `"${token.value}"`);
+
+const fail = (token: Token, expected: string[]): never => {
+  const message = `Expected ${expected.join(' or ')} but found ${describe(token)}`;
+  if (token.type === 'end') {
+    throw new SolverError('UNEXPECTED_END', message, token.start, 0, expected);
+  }
+  throw new SolverError('UNEXPECTED_TOKEN', message, token.start, token.end - token.start, expected);
+}
+
+const createParser = (input: string) => {
+  if (input.length > MAX_TERM_LENGTH) {
+    throw new SolverError('TERM_TOO_LONG', `Terms can be at most ${MAX_TERM_LENGTH} characters long`, MAX_TERM_LENGTH, input.length - MAX_TERM_LENGTH);
+  }
+  const tokens = tokenize(input);
+  let index = 0;
+  // unary operators, exponents, groups and calls that are still open
+  let depth = 0;
+
+  // parses what opener starts, failing at opener once too many are open
+  const nested = <T>(opener: Token, parse: () => T): T => {
+    if (depth === MAX_NESTING) {
+      throw new SolverError('NESTING_TOO_DEEP', `Terms can nest at most ${MAX_NESTING} levels deep`, opener.start, opener.end - opener.start);
+    }
+    depth++;
+    try {
+      return parse();
+    } finally {
+      depth--;
+    }
+  }
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[index++];
+  const isOperator = (...operators: string[]) => peek().type === 'operator' && operators.includes(peek().value);
+
+  const binary = (left: Node, operator: BinaryOperator, right: Node): BinaryNode => ({
+    type: 'binary',
+    operator,
+    left,
+    right,
+    start: left.start,
+    end: right.end,
+  });
+
+  const expression = (): Node => {
+    let left = term();
+    while (isOperator('+', '-')) {
+      const operator = next().value as BinaryOperator;
+      left = binary(left, operator, term());
+    }
+    return left;
+  }
+
+  const startsImplicitFactor = () => peek().type === 'identifier' || peek().type === 'lparen';
+
+  const term = (): Node => {
+    let left = unary();
+    while (isOperator('*', '/') || startsImplicitFactor()) {
+      if (startsImplicitFactor()) {
+        left = { ...binary(left, '*', power()), implicit: true };
+        continue;
+      }
+      const operator = next().value as BinaryOperator;
+      left = binary(left, operator, unary());
+    }
+    return left;
+  }
+
+  const unary = (): Node => {
+    if (isOperator('-')) {
+      const token = next();
+      const operand = nested(token, unary);
+      return { type: 'unary', operator: '-', operand, start: token.start, end: operand.end };
+    }
+    return power();
+  }
+
+  const power = (): Node => {
+    const base = primary();
+    if (isOperator('^')) {
+      return binary(base, '^', nested(next(), unary));
+    }
+    return base;
+  }
+
+  const closing = () => {
+    const token = next();
+    if (token.type !== 'rparen') {
+      fail(token, ['")"', 'operator']);
+    }
+    return token;
+  }
+
+  const call = (name: Token): Node => {
+    const args = nested(next(), () => {
+      const parsed = [expression()];
+      while (peek().type === 'comma') {
+        next();
+        parsed.push(expression());
+      }
+      return parsed;
+    });
+    const end = closing();
+    return { type: 'call', name: name.value, args, start: name.start, end: end.end };
+  }
+
+  const primary = (): Node => {
+    const token = next();
+    if (token.type === 'number') {
+      return { type: 'number', value: Rational.parse(token.value), raw: token.value, start: token.start, end: token.end };
+    }
+    if (token.type === 'identifier') {
+      if (peek().type === 'lparen') {
+        return call(token);
+      }
+      return { type: 'variable', name: token.value, start: token.start, end: token.end };
+    }
+    if (token.type === 'lparen') {
+      const inner = nested(token, expression);
+      const end = closing();
+      return { type: 'group', expression: inner, start: token.start, end: end.end };
+    }
+    return fail(token, ['number', 'name', '"("']);
+  }
+
+  const statement = (): Statement => {
+    if (peek().type === 'identifier' && peek(1).type === 'equals') {
+      const name = next();
+      next();
+      return {
+        target: { type: 'variable', name: name.value, start: name.start, end: name.end },
+        expression: expression(),
+      };
+    }
+    return { expression: expression() };
+  }
+
+  const equation = (): Equation => {
+    const left = expression();
+    if (peek().type !== 'equals') {
+      fail(peek(), ['"="', 'operator']);
+    }
+    next();
+    return { left, right: expression() };
+  }
+
+  // every parse has to consume the whole input
+  const finish = () => {
+    const rest = peek();
+    if (rest.type === 'rparen') {
+      throw new SolverError('UNMATCHED_PAREN', 'Unmatched ")" without an opening "("', rest.start, 1);
+    }
+    if (rest.type !== 'end') {
+      fail(rest, ['operator', 'end of input']);
+    }
+  }
+
+  const ensureNotEmpty = () => {
+    if (peek().type === 'end') {
+      throw new SolverError('EMPTY_TERM', 'No term provided', 0, 0, ['number', '"("']);
+    }
+  }
+
+  return { expression, statement, equation, finish, ensureNotEmpty };
+}
+
+export const parse = (input: string): Node => {
+  const parser = createParser(input);
+  parser.ensureNotEmpty();
+  const tree = parser.expression();
+  parser.finish();
+  return tree;
+}
+
+export const parseStatement = (input: string): Statement => {
+  const parser = createParser(input);
+  parser.ensureNotEmpty();
+  const statement = parser.statement();
+  parser.finish();
+  return statement;
+}
+
+export const parseEquation = (input: string): Equation => {
+  const parser = createParser(input);
+  parser.ensureNotEmpty();
+  const equation = parser.equation();
+  parser.finish();
+  return equation;
+}
@@ -0,0 +1,158 @@
+// turns a term in x into a real function and finds where graphs cross the x axis or each other
+
+import { Node } from './ast';
+import { SolverError } from './errors';
+import { evaluate } from './evaluate';
+import { parse } from './parser';
+import { Scope } from './scope';
+import { toNumber } from './value';
+
+export const PLOT_VARIABLE = 'x';
+
+export type RealFunction = (x: number) => number;
+
+export interface Viewport {
+  xMin: number;
+  xMax: number;
+  yMin: number;
+  yMax: number;
+}
+
+export interface PlotPoint {
+  x: number;
+  y: number;
+}
+
+export const DEFAULT_VIEWPORT: Viewport = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+// errors that only mean the function has no finite value at this x, like 1/x at 0 or x^1000 at 10
+const OUTSIDE_DOMAIN = ['DIVISION_BY_ZERO', 'INVALID_ARGUMENT', 'OVERFLOW'];
+
+// an x that is unlikely to hit a pole, used to surface unknown names and wrong calls up front
+const PROBE = 0.5772156649;
+
+export const mentions = (node: Node, name: string): boolean => {
+  switch (node.type) {
+    case 'number':
+      return false;
+    case 'variable':
+      return node.name === name;
+    case 'call':
+      return node.args.some(arg => mentions(arg, name));
+    case 'group':
+      return mentions(node.expression, name);
+    case 'unary':
+      return mentions(node.operand, name);
+    case 'binary':
+      return mentions(node.left, name) || mentions(node.right, name);
+  }
+}
+
+// x is bound by the plot, a variable x in scope is ignored; values outside the domain become NaN
+export const compileFunction = (term: string, scope: Scope = {}): RealFunction => {
+  const tree = parse(term);
+  const variables: Scope = { ...scope };
+  const fn = (x: number) => {
+    variables[PLOT_VARIABLE] = x;
+    try {
+      return toNumber(evaluate(tree, variables));
+    } catch (error) {
+      if (error instanceof SolverError && OUTSIDE_DOMAIN.includes(error.code)) {
+        return NaN;
+      }
+      throw error;
+    }
+  }
+  fn(PROBE);
+  return fn;
+}
+
+export const isPlottable = (term: string, scope: Scope = {}) => {
+  try {
+    compileFunction(term, scope);
+    return mentions(parse(term), PLOT_VARIABLE);
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+export const sample = (fn: RealFunction, xMin: number, xMax: number, count: number): PlotPoint[] => (
+  Array.from({ length: count + 1 }, (_, index) => {
+    const x = xMin + ((xMax - xMin) * index) / count;
+    return { x, y: fn(x) };
+  })
+);
+
+const bisect = (fn: RealFunction, low: number, high: number) => {
+  let a = low;
+  let b = high;
+  const lowSign = Math.sign(fn(a));
+  for (let i = 0; i < 60 && a !== b; i++) {
+    const middle = (a + b) / 2;
+    if (Math.sign(fn(middle)) === lowSign) {
+      a = middle;
+    } else {
+      b = middle;
+    }
+  }
+  return (a + b) / 2;
+}
+
+// sign changes between samples refined by bisection; jumps through a pole, like 1/x at 0, are not roots
+export const findRoots = (fn: RealFunction, xMin: number, xMax: number, count = 500) => {
+  const points = sample(fn, xMin, xMax, count);
+  const tolerance = (xMax - xMin) / count;
+  const roots: number[] = [];
+  const add = (x: number) => {
+    if (roots.length === 0 || x - roots[roots.length - 1] > tolerance / 2) {
+      roots.push(x);
+    }
+  }
+
+  points.forEach((point, index) => {
+    if (point.y === 0) {
+      add(point.x);
+      return;
+    }
+    const next = points[index + 1];
+    if (!next || !Number.isFinite(point.y) || !Number.isFinite(next.y) || next.y === 0 || Math.sign(point.y) === Math.sign(next.y)) {
+      return;
+    }
+    const root = bisect(fn, point.x, next.x);
+    const scale = Math.max(Math.abs(point.y), Math.abs(next.y));
+    if (Math.abs(fn(root)) <= scale * 1e-6) {
+      add(root);
+    }
+  });
+  return roots;
+}
+
+export const findIntersections = (f: RealFunction, g: RealFunction, xMin: number, xMax: number): PlotPoint[] => (
+  findRoots(x => f(x) - g(x), xMin, xMax).map(x => ({ x, y: f(x) }))
+);
+
+// grid spacing of 1, 2 or 5 times a power of ten, giving roughly target lines across span
+export const gridStep = (span: number, target = 10) => {
+  const rough = span / target;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  const factor = [1, 2, 5, 10].find(candidate => candidate * power >= rough) ?? 10;
+  return factor * power;
+}
+
+// gridStep aims at 10, the cap only matters when a bound is too large for index++ to change index * step
+const MAX_GRID_LINES = 100;
+
+// spans narrower than this fraction of their bounds lose the precision to place grid lines and samples apart
+const MIN_RELATIVE_SPAN = 1e-9;
+
+export const isTooNarrow = (min: number, max: number) => max - min < Math.max(Math.abs(min), Math.abs(max), 1) * MIN_RELATIVE_SPAN;
+
+export const gridLines = (min: number, max: number, step: number) => {
+  const first = Math.ceil(min / step);
+  const count = Math.min(Math.floor(max / step) - first + 1, MAX_GRID_LINES);
+  // snap away float noise like 0.30000000000000004
+  return Array.from({ length: Math.max(count, 0) }, (_, index) => Number(((first + index) * step).toPrecision(12)));
+}
@@ -0,0 +1,48 @@
+// saves a rendered plot as an SVG or PNG file, browser only
+
+import { downloadBlob } from '../download';
+
+const serialize = (svg: SVGSVGElement) => {
+  const copy = svg.cloneNode(true) as SVGSVGElement;
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  return new XMLSerializer().serializeToString(copy);
+}
+
+export const exportSvg = (svg: SVGSVGElement, filename = 'plot.svg') => {
+  downloadBlob(new Blob([serialize(svg)], { type: 'image/svg+xml' }), filename);
+}
+
+// draws the SVG onto a canvas at scale times its view box size
+export const exportPng = (svg: SVGSVGElement, filename = 'plot.png', scale = 2) => new Promise<void>((resolve, reject) => {
+  const { width, height } = svg.viewBox.baseVal;
+  const url = URL.createObjectURL(new Blob([serialize(svg)], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    if (!context) {
+      URL.revokeObjectURL(url);
+      reject(new Error('Canvas is not supported'));
+      return;
+    }
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => {
+      if (blob) {
+        downloadBlob(blob, filename);
+        resolve();
+      } else {
+        reject(new Error('Could not encode the plot as PNG'));
+      }
+    }, 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the plot'));
+  };
+  image.src = url;
+});
@@ -0,0 +1,172 @@
+// polynomials in one variable with exact coefficients, the index of a coefficient is its power
+
+import { Node } from './ast';
+import { SolverError } from './errors';
+import { applyFunction, applyOperator, lookup } from './evaluate';
+import { print } from './printer';
+import { BIG, Rational } from './rational';
+import { Scope } from './scope';
+import { isExact, Value } from './value';
+
+export type Polynomial = Rational[];
+
+const MAX_EXPONENT = 8;
+
+// intermediate expansions may cancel down to a quadratic, but nested powers must not multiply out thousands of coefficients
+const MAX_DEGREE = MAX_EXPONENT;
+
+const trim = (polynomial: Polynomial): Polynomial => {
+  const result = [...polynomial];
+  while (result.length > 1 && result[result.length - 1].isZero()) {
+    result.pop();
+  }
+  return result.length > 0 ? result : [Rational.ZERO];
+}
+
+export const degree = (polynomial: Polynomial) => {
+  const trimmed = trim(polynomial);
+  return trimmed.length === 1 && trimmed[0].isZero() ? -Infinity : trimmed.length - 1;
+}
+
+export const coefficient = (polynomial: Polynomial, power: number) => polynomial[power] ?? Rational.ZERO;
+
+const constant = (value: Rational): Polynomial => [value];
+
+export const add = (a: Polynomial, b: Polynomial) => trim(
+  Array.from({ length: Math.max(a.length, b.length) }, (_, power) => coefficient(a, power).add(coefficient(b, power))),
+);
+
+export const negate = (a: Polynomial) => a.map(value => value.negate());
+
+export const subtract = (a: Polynomial, b: Polynomial) => add(a, negate(b));
+
+export const multiply = (a: Polynomial, b: Polynomial) => {
+  const result: Polynomial = Array.from({ length: a.length + b.length - 1 }, () => Rational.ZERO);
+  a.forEach((left, i) => b.forEach((right, j) => {
+    result[i + j] = result[i + j].add(left.multiply(right));
+  }));
+  return trim(result);
+}
+
+export interface Conversion {
+  polynomial: Polynomial;
+  // false once a value had to be approximated, like pi or sqrt(2)
+  exact: boolean;
+}
+
+// expands an expression into a polynomial in variable, other names are looked up in scope
+export const toPolynomial = (tree: Node, variable: string, scope: Scope): Conversion => {
+  let exact = true;
+
+  const fromValue = (value: Value, node: Node) => {
+    if (isExact(value)) {
+      return value;
+    }
+    if (!Number.isFinite(value)) {
+      throw new SolverError('INVALID_ARGUMENT', `${print(node).text} has no finite real value`, node.start, node.end - node.start);
+    }
+    if (!Number.isInteger(value)) {
+      exact = false;
+    }
+    return Rational.fromNumber(value);
+  }
+
+  const unsupported = (node: Node, message: string): never => {
+    throw new SolverError('UNSUPPORTED_EQUATION', message, node.start, node.end - node.start);
+  }
+
+  // checks the degree of a product before multiplying it out
+  const expand = (node: Node, order: number, product: () => Polynomial) => {
+    if (order > MAX_DEGREE) {
+      return unsupported(node, `Expanding this gives degree ${order}, terms in ${variable} can have degree ${MAX_DEGREE} at most`);
+    }
+    return product();
+  }
+
+  const convert = (node: Node): Polynomial => {
+    switch (node.type) {
+      case 'number':
+        return constant(fromValue(node.value, node));
+      case 'variable':
+        return node.name === variable ? [Rational.ZERO, Rational.ONE] : constant(fromValue(lookup(node.name, node, scope), node));
+      case 'call': {
+        const args = node.args.map(arg => {
+          const converted = convert(arg);
+          if (degree(converted) > 0) {
+            unsupported(arg, `${node.name}() of an expression containing ${variable} can not be solved`);
+          }
+          return coefficient(converted, 0);
+        });
+        return constant(fromValue(applyFunction(node, args), node));
+      }
+      case 'group':
+        return convert(node.expression);
+      case 'unary':
+        return negate(convert(node.operand));
+      case 'binary': {
+        const left = convert(node.left);
+        const right = convert(node.right);
+        switch (node.operator) {
+          case '+':
+            return add(left, right);
+          case '-':
+            return subtract(left, right);
+          case '*':
+            return expand(node, degree(left) + degree(right), () => multiply(left, right));
+          case '/':
+            if (degree(right) > 0) {
+              return unsupported(node.right, `Dividing by an expression containing ${variable} is not supported`);
+            }
+            if (degree(right) === -Infinity) {
+              throw new SolverError('DIVISION_BY_ZERO', 'Division by zero', node.right.start, node.right.end - node.right.start);
+            }
+            return left.map(value => value.divide(right[0]));
+          case '^': {
+            const exponent = coefficient(right, 0);
+            if (degree(right) > 0) {
+              return unsupported(node.right, `Exponents containing ${variable} are not supported`);
+            }
+            if (degree(left) <= 0) {
+              return constant(fromValue(applyOperator(node, coefficient(left, 0), exponent), node));
+            }
+            if (!exponent.isInteger() || exponent.sign() < 0 || exponent.numerator > MAX_EXPONENT) {
+              return unsupported(node.right, `Powers of ${variable} need a whole exponent from 0 to ${MAX_EXPONENT}`);
+            }
+            return expand(node, degree(left) * exponent.toNumber(), () => {
+              let result: Polynomial = [Rational.ONE];
+              for (let i = BIG.zero; i < exponent.numerator; i++) {
+                result = multiply(result, left);
+              }
+              return result;
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const polynomial = convert(tree);
+  return { polynomial, exact };
+}
+
+const formatCoefficient = (value: Rational) => (value.isInteger() ? value.toString() : `(${value})`);
+
+// highest power first, e.g. x^2 - 5x + 6
+export const formatPolynomial = (polynomial: Polynomial, variable: string) => {
+  const terms = trim(polynomial)
+    .map((value, power) => ({ value, power }))
+    .filter(({ value }) => !value.isZero())
+    .reverse();
+
+  if (terms.length === 0) {
+    return '0';
+  }
+
+  return terms.map(({ value, power }, index) => {
+    const magnitude = value.sign() < 0 ? value.negate() : value;
+    const name = power === 0 ? '' : power === 1 ? variable : `${variable}^${power}`;
+    const factor = power > 0 && magnitude.equals(Rational.ONE) ? '' : formatCoefficient(magnitude);
+    const sign = value.sign() < 0 ? (index === 0 ? '-' : ' - ') : (index === 0 ? '' : ' + ');
+    return `${sign}${factor}${name}`;
+  }).join('');
+}
@@ -0,0 +1,142 @@
+// prints a syntax tree back into a compact term
+
+import { BinaryNode, Node, NumberNode } from './ast';
+import { formatNumber } from './format';
+import { isExact, sign, Value } from './value';
+
+export interface PrintResult {
+  text: string;
+  // where the marked node ended up in text
+  start?: number;
+  end?: number;
+}
+
+const isNegativeNumber = (node: Node) => node.type === 'number' && sign(node.value) < 0;
+
+const PRECEDENCE: Record<BinaryNode['operator'], number> = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 3 };
+
+// operators whose left operand must not start with a bare minus, 1--1*4 would read as 1-(-(1*4))
+const SIGN_SENSITIVE = ['-', '*', '/', '^'];
+
+// a reduction can leave a looser operation under a tighter one, which then needs the parentheses the group had
+const needsGrouping = (child: Node, parent: BinaryNode) => {
+  if (child.type !== 'binary') {
+    return false;
+  }
+  const inner = PRECEDENCE[child.operator];
+  const outer = PRECEDENCE[parent.operator];
+  if (inner !== outer) {
+    return inner < outer;
+  }
+  // ^ groups to the right, - and / to the left
+  return parent.operator === '^'
+    ? child === parent.left
+    : child === parent.right && (parent.operator === '-' || parent.operator === '/');
+}
+
+// a reduced fraction like 1/3 reads as a division, so it needs parentheses where that division would bind differently
+const isFraction = (node: Node) => node.type === 'number' && node.raw.includes('/');
+
+const startsWithNameOrParen = (node: Node): boolean => {
+  switch (node.type) {
+    case 'variable':
+    case 'call':
+    case 'group':
+      return true;
+    case 'binary':
+      return startsWithNameOrParen(node.left);
+    default:
+      return false;
+  }
+}
+
+// 3x stays 3x, but once x is replaced by a number the '*' has to come back
+const omitsOperator = (node: Node) => (
+  node.type === 'binary'
+  && node.implicit === true
+  && node.left.type === 'number'
+  && sign(node.left.value) >= 0
+  && startsWithNameOrParen(node.right)
+);
+
+// each step prints the whole term again, so exact values longer than this are written rounded, like ≈4.4028552541×10^23856
+const MAX_PRINTED_LENGTH = 40;
+
+const printedNumber = (value: Value) => {
+  const text = formatNumber(value);
+  if (!isExact(value) || text.length <= MAX_PRINTED_LENGTH) {
+    return text;
+  }
+  const [mantissa, exponent] = formatNumber(value, { notation: 'scientific', digits: 10 }).split('e');
+  return `≈${Number(mantissa)}×10^${Number(exponent)}`;
+}
+
+export const numberNode = (value: Value, span: { start: number, end: number }): NumberNode => ({
+  type: 'number',
+  value,
+  raw: printedNumber(value),
+  start: span.start,
+  end: span.end,
+});
+
+// prints node and reports the position of marked inside the output
+export const print = (node: Node, marked?: Node): PrintResult => {
+  let text = '';
+  const result: PrintResult = { text: '' };
+
+  // negative numbers produced by a reduction need parentheses where a minus would be misread
+  const wrapped = (child: Node, needsParens: boolean, parent?: BinaryNode) => {
+    const fraction = isFraction(child) && (
+      parent === undefined || parent.operator === '^' || (child === parent.right && parent.operator !== '+' && parent.operator !== '-')
+    );
+    if ((needsParens && isNegativeNumber(child)) || fraction || (parent !== undefined && needsGrouping(child, parent))) {
+      text += '(';
+      visit(child);
+      text += ')';
+    } else {
+      visit(child);
+    }
+  }
+
+  const visit = (current: Node) => {
+    const start = text.length;
+    switch (current.type) {
+      case 'number':
+        text += current.raw;
+        break;
+      case 'variable':
+        text += current.name;
+        break;
+      case 'call':
+        text += `${current.name}(`;
+        current.args.forEach((arg, index) => {
+          text += index > 0 ? ',' : '';
+          visit(arg);
+        });
+        text += ')';
+        break;
+      case 'group':
+        text += '(';
+        visit(current.expression);
+        text += ')';
+        break;
+      case 'unary':
+        text += current.operator;
+        wrapped(current.operand, true);
+        break;
+      case 'binary':
+        wrapped(current.left, SIGN_SENSITIVE.includes(current.operator), current);
+        text += omitsOperator(current) ? '' : current.operator;
+        wrapped(current.right, true, current);
+        break;
+    }
+    if (current === marked) {
+      result.start = start;
+      result.end = text.length;
+    }
+  }
+
+  visit(node);
+  result.text = text;
+  return result;
+}
@@ -0,0 +1,171 @@
+// exact fractions of arbitrary size, always stored in lowest terms with a positive denominator
+
+// bigint literals would need an ES2020 target
+export const BIG = { zero: BigInt(0), one: BigInt(1), two: BigInt(2), ten: BigInt(10) };
+
+const abs = (value: bigint) => (value < BIG.zero ? -value : value);
+
+export const gcd = (a: bigint, b: bigint): bigint => {
+  let x = abs(a);
+  let y = abs(b);
+  while (y !== BIG.zero) {
+    [x, y] = [y, x % y];
+  }
+  return x;
+}
+
+// the integer square root, rounded down
+export const isqrt = (value: bigint) => {
+  if (value < BIG.two) {
+    return value;
+  }
+  let x = value;
+  let y = (x + BIG.one) / BIG.two;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / BIG.two;
+  }
+  return x;
+}
+
+const DECIMAL = /^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+// digits plus exponent a decimal may expand to, "1e99999999" would otherwise build a hundred million digit number
+const MAX_DECIMAL_DIGITS = 100_000;
+
+export class Rational {
+  readonly numerator: bigint;
+  readonly denominator: bigint;
+
+  constructor(numerator: bigint, denominator = BIG.one) {
+    if (denominator === BIG.zero) {
+      throw new RangeError('Denominator must not be zero');
+    }
+    const sign = denominator < BIG.zero ? -BIG.one : BIG.one;
+    const divisor = gcd(numerator, denominator) || BIG.one;
+    this.numerator = (sign * numerator) / divisor;
+    this.denominator = (sign * denominator) / divisor;
+  }
+
+  static readonly ZERO = new Rational(BIG.zero);
+  static readonly ONE = new Rational(BIG.one);
+
+  static fromInteger(value: number | bigint) {
+    return new Rational(BigInt(value));
+  }
+
+  // reads decimal notation exactly, so "0.1" becomes 1/10 rather than the nearest double
+  static parse(text: string) {
+    const match = DECIMAL.exec(text.trim());
+    if (!match || (match[2] === '' && !match[3])) {
+      throw new RangeError(`"${text}" is not a decimal number`);
+    }
+    const [, sign, whole, fraction = '', exponent = '0'] = match;
+    const shift = Number(exponent);
+    if (whole.length + fraction.length + Math.abs(shift) > MAX_DECIMAL_DIGITS) {
+      throw new RangeError(`Decimals can have at most ${MAX_DECIMAL_DIGITS} digits`);
+    }
+    let numerator = BigInt(`${whole || '0'}${fraction}`);
+    let denominator = BIG.ten ** BigInt(fraction.length);
+    if (shift >= 0) {
+      numerator *= BIG.ten ** BigInt(shift);
+    } else {
+      denominator *= BIG.ten ** BigInt(-shift);
+    }
+    return new Rational(sign ? -numerator : numerator, denominator);
+  }
+
+  // reads "p/q" as written by toString, as well as plain decimals
+  static fromString(text: string) {
+    const [numerator, denominator, ...rest] = text.split('/');
+    if (denominator === undefined) {
+      return Rational.parse(numerator);
+    }
+    if (rest.length > 0) {
+      throw new RangeError(`"${text}" is not a fraction`);
+    }
+    const divisor = Rational.parse(denominator);
+    if (divisor.isZero()) {
+      throw new RangeError(`"${text}" has a zero denominator`);
+    }
+    return Rational.parse(numerator).divide(divisor);
+  }
+
+  // uses the shortest decimal that round-trips, so 0.1 stays 1/10
+  static fromNumber(value: number) {
+    if (!Number.isFinite(value)) {
+      throw new RangeError(`${value} is not a finite number`);
+    }
+    return Rational.parse(String(value));
+  }
+
+  isZero() {
+    return this.numerator === BIG.zero;
+  }
+
+  isInteger() {
+    return this.denominator === BIG.one;
+  }
+
+  sign() {
+    return this.numerator === BIG.zero ? 0 : this.numerator < BIG.zero ? -1 : 1;
+  }
+
+  negate() {
+    return new Rational(-this.numerator, this.denominator);
+  }
+
+  add(other: Rational) {
+    return new Rational(
+      this.numerator * other.denominator + other.numerator * this.denominator,
+      this.denominator * other.denominator,
+    );
+  }
+
+  subtract(other: Rational) {
+    return this.add(other.negate());
+  }
+
+  multiply(other: Rational) {
+    return new Rational(this.numerator * other.numerator, this.denominator * other.denominator);
+  }
+
+  divide(other: Rational) {
+    if (other.isZero()) {
+      throw new RangeError('Division by zero');
+    }
+    return new Rational(this.numerator * other.denominator, this.denominator * other.numerator);
+  }
+
+  // integer exponents only, anything else has no exact rational result in general
+  pow(exponent: bigint): Rational {
+    if (exponent < BIG.zero) {
+      return Rational.ONE.divide(this).pow(-exponent);
+    }
+    return new Rational(this.numerator ** exponent, this.denominator ** exponent);
+  }
+
+  equals(other: Rational) {
+    return this.numerator === other.numerator && this.denominator === other.denominator;
+  }
+
+  compare(other: Rational) {
+    return this.subtract(other).sign();
+  }
+
+  // scales both parts down first, so huge fractions still give a sensible double
+  toNumber() {
+    const bits = Math.max(this.numerator.toString(2).length, this.denominator.toString(2).length);
+    const shift = BigInt(Math.max(0, bits - 1000));
+    return Number(this.numerator >> shift) / Number(this.denominator >> shift);
+  }
+
+  toString() {
+    return this.isInteger() ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+  }
+
+  // BigInt has no JSON representation, the fraction text survives the round trip
+  toJSON() {
+    return this.toString();
+  }
+}
@@ -0,0 +1,61 @@
+// variables, constants and built-in functions available to terms
+
+import { isIdentifier } from './tokenizer';
+import { compare, isExact, isInteger, negate, parseValue, roundTo, sign, squareRoot, toNumber, Value } from './value';
+
+export type Scope = Record<string, Value>;
+
+export const CONSTANTS: Record<string, Value> = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+export interface SolverFunction {
+  minArgs: number;
+  maxArgs: number;
+  apply: (args: Value[]) => Value;
+}
+
+const smallest = (args: Value[]) => args.reduce((a, b) => (compare(b, a) < 0 ? b : a));
+
+const largest = (args: Value[]) => args.reduce((a, b) => (compare(b, a) > 0 ? b : a));
+
+export const FUNCTIONS: Record<string, SolverFunction> = {
+  sqrt: { minArgs: 1, maxArgs: 1, apply: ([x]) => squareRoot(x) },
+  abs: { minArgs: 1, maxArgs: 1, apply: ([x]) => (sign(x) < 0 ? negate(x) : x) },
+  min: { minArgs: 1, maxArgs: Infinity, apply: smallest },
+  max: { minArgs: 1, maxArgs: Infinity, apply: largest },
+  // round(x) to an integer, round(x, digits) to that many decimal places
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    apply: ([x, digits = 0]) => {
+      if (!isInteger(digits) || (isExact(x) && Math.abs(toNumber(digits)) > 1000)) {
+        return NaN;
+      }
+      return roundTo(x, toNumber(digits));
+    },
+  },
+};
+
+// names that can not be assigned to
+export const isReserved = (name: string) => Object.hasOwn(CONSTANTS, name) || Object.hasOwn(FUNCTIONS, name);
+
+// reads a scope back from JSON, undefined if any of its names could not be assigned in a term or any value is not a number or fraction
+export const parseScope = (raw: unknown): Scope | undefined => {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return undefined;
+  }
+  const scope: Scope = {};
+  for (const [name, entry] of Object.entries(raw)) {
+    if (!isIdentifier(name) || isReserved(name)) {
+      return undefined;
+    }
+    const value = parseValue(entry);
+    if (value === undefined) {
+      return undefined;
+    }
+    scope[name] = value;
+  }
+  return scope;
+}
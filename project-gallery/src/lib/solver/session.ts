@@ -0,0 +1,22 @@
+// keeps the variables of the term solver for the lifetime of the browser tab
+
+import { parseScope, Scope } from './scope';
+
+const STORAGE_KEY = 'term-solver-scope';
+
+export const loadScope = (): Scope => {
+  try {
+    const stored = window.sessionStorage.getItem(STORAGE_KEY);
+    return stored ? parseScope(JSON.parse(stored)) ?? {} : {};
+  } catch {
+    return {};
+  }
+}
+
+export const saveScope = (scope: Scope) => {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(scope));
+  } catch (error) {
+    console.error('Could not persist solver variables:', error);
+  }
+}
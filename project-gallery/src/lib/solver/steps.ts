@@ -0,0 +1,115 @@
+// step-by-step reduction of a syntax tree
+// each step evaluates the operation that would be computed first, e.g. 2+3*4 → 2+12 → 14
+
+import { Node } from './ast';
+import { evaluate } from './evaluate';
+import { numberNode, print } from './printer';
+import { Scope } from './scope';
+import { isExact, isZero, negate, Value } from './value';
+
+export interface Step {
+  // the whole term before this step
+  before: string;
+  // position of the reduced sub-expression in before
+  start: number;
+  end: number;
+  subexpression: string;
+  value: Value;
+  // the whole term after this step
+  after: string;
+}
+
+const unwrap = (node: Node): Node => (node.type === 'group' ? unwrap(node.expression) : node);
+
+const isWholeNumber = (node: Node): boolean => (
+  (node.type === 'number' && isExact(node.value) && node.value.isInteger())
+  || (node.type === 'unary' && isWholeNumber(node.operand))
+);
+
+// a fraction already in lowest terms, like 1/3 or -1/3, is how an exact result is written
+const isFraction = (node: Node) => {
+  if (node.type !== 'binary' || node.operator !== '/' || node.right.type !== 'number') {
+    return false;
+  }
+  if (!isWholeNumber(node.left) || !isWholeNumber(node.right) || isZero(node.right.value)) {
+    return false;
+  }
+  const value = evaluate(node);
+  return isExact(value) && !value.isInteger() && print(node).text === value.toString();
+}
+
+// a negated number or a fraction is a literal, not a step of its own
+const isNumber = (node: Node): boolean => {
+  const inner = unwrap(node);
+  return inner.type === 'number' || isFraction(inner) || (inner.type === 'unary' && isNumber(inner.operand));
+}
+
+// the first operation in evaluation order whose operands are already numbers, variables are looked up first
+const findReducible = (node: Node): Node | undefined => {
+  switch (node.type) {
+    case 'number':
+      return undefined;
+    case 'variable':
+      return node;
+    case 'call':
+      return node.args.map(findReducible).find(Boolean) ?? node;
+    case 'group':
+      return findReducible(node.expression);
+    case 'unary':
+      return findReducible(node.operand);
+    case 'binary':
+      if (isFraction(node)) {
+        return undefined;
+      }
+      return findReducible(node.left)
+        ?? findReducible(node.right)
+        ?? (isNumber(node.left) && isNumber(node.right) ? node : undefined);
+  }
+}
+
+// replaces target, drops parentheses that only hold a number anymore and folds negated numbers
+const replace = (node: Node, target: Node, replacement: Node): Node => {
+  if (node === target) {
+    return replacement;
+  }
+  switch (node.type) {
+    case 'number':
+    case 'variable':
+      return node;
+    case 'call':
+      return { ...node, args: node.args.map(arg => replace(arg, target, replacement)) };
+    case 'group': {
+      const expression = replace(node.expression, target, replacement);
+      return expression.type === 'number' ? expression : { ...node, expression };
+    }
+    case 'unary': {
+      const operand = replace(node.operand, target, replacement);
+      return operand.type === 'number' ? numberNode(negate(operand.value), node) : { ...node, operand };
+    }
+    case 'binary':
+      return { ...node, left: replace(node.left, target, replacement), right: replace(node.right, target, replacement) };
+  }
+}
+
+export const derive = (tree: Node, scope: Scope = {}): Step[] => {
+  const steps: Step[] = [];
+  let current = tree;
+  let target = findReducible(current);
+
+  while (target) {
+    const value = evaluate(target, scope);
+    const before = print(current, target);
+    current = replace(current, target, numberNode(value, target));
+    steps.push({
+      before: before.text,
+      start: before.start!,
+      end: before.end!,
+      subexpression: print(target).text,
+      value,
+      after: print(current).text,
+    });
+    target = findReducible(current);
+  }
+
+  return steps;
+}
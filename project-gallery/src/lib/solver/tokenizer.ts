@@ -0,0 +1,70 @@
+// splits a term into tokens, keeping their position in the input
+
+import { SolverError } from './errors';
+
+export type TokenType = 'number' | 'identifier' | 'operator' | 'lparen' | 'rparen' | 'comma' | 'equals' | 'end';
+
+export interface Token {
+  type: TokenType;
+  value: string;
+  start: number;
+  end: number;
+}
+
+const OPERATORS = '+-*/^';
+const NUMBER = /\d+(?:\.\d+)?|\.\d+/y;
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+const SINGLE_CHARACTER: Record<string, TokenType> = {
+  '(': 'lparen',
+  ')': 'rparen',
+  ',': 'comma',
+  '=': 'equals',
+};
+
+// whether a name could be written in a term, the whole of it has to be one identifier token
+export const isIdentifier = (name: string) => {
+  IDENTIFIER.lastIndex = 0;
+  return IDENTIFIER.exec(name)?.[0] === name;
+}
+
+export const tokenize = (input: string): Token[] => {
+  const tokens: Token[] = [];
+  let position = 0;
+
+  while (position < input.length) {
+    const char = input[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    NUMBER.lastIndex = position;
+    const number = NUMBER.exec(input);
+    if (number) {
+      tokens.push({ type: 'number', value: number[0], start: position, end: NUMBER.lastIndex });
+      position = NUMBER.lastIndex;
+      continue;
+    }
+
+    IDENTIFIER.lastIndex = position;
+    const identifier = IDENTIFIER.exec(input);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], start: position, end: IDENTIFIER.lastIndex });
+      position = IDENTIFIER.lastIndex;
+      continue;
+    }
+
+    if (OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', value: char, start: position, end: position + 1 });
+    } else if (SINGLE_CHARACTER[char]) {
+      tokens.push({ type: SINGLE_CHARACTER[char], value: char, start: position, end: position + 1 });
+    } else {
+      throw new SolverError('UNEXPECTED_CHARACTER', `Unexpected character "${char}"`, position, 1, ['number', 'name', 'operator', '"("', '")"']);
+    }
+    position++;
+  }
+
+  tokens.push({ type: 'end', value: '', start: input.length, end: input.length });
+  return tokens;
+}
@@ -0,0 +1,213 @@
+// typesets syntax trees and values as LaTeX or MathML, without any external renderer
+// both outputs are written from the same box tree, so they always show the same formula
+
+import { Node } from './ast';
+import { SolverError } from './errors';
+import { formatNumber, NumberFormat } from './format';
+import { parse } from './parser';
+import { isExact, Value } from './value';
+
+export type MathBox =
+  | { kind: 'number', text: string }
+  | { kind: 'identifier', text: string }
+  | { kind: 'operator', text: string }
+  | { kind: 'function', name: string }
+  | { kind: 'row', children: MathBox[] }
+  | { kind: 'fraction', numerator: MathBox, denominator: MathBox }
+  | { kind: 'power', base: MathBox, exponent: MathBox }
+  | { kind: 'root', radicand: MathBox }
+  | { kind: 'fenced', open: string, close: string, content: MathBox };
+
+const MINUS = '−';
+
+const SYMBOLS: Record<string, string> = {
+  pi: 'π',
+};
+
+const number = (text: string): MathBox => ({ kind: 'number', text });
+const operator = (text: string): MathBox => ({ kind: 'operator', text });
+const row = (...children: MathBox[]): MathBox => ({ kind: 'row', children });
+const parens = (content: MathBox): MathBox => ({ kind: 'fenced', open: '(', close: ')', content });
+
+const separated = (separator: string, items: MathBox[]) => (
+  row(...items.flatMap((item, index) => (index === 0 ? [item] : [operator(separator), item])))
+);
+
+export const equals = (...sides: MathBox[]) => separated('=', sides);
+
+export const list = (...items: MathBox[]) => separated(',', items);
+
+export const implies = (premise: MathBox, conclusion: MathBox) => row(premise, operator('⇒'), conclusion);
+
+export const identifier = (name: string): MathBox => ({ kind: 'identifier', text: SYMBOLS[name] ?? name });
+
+const unwrap = (node: Node): Node => (node.type === 'group' ? unwrap(node.expression) : node);
+
+// the number as written, "1/3" left behind by a reduction becomes a stacked fraction
+const numberBox = (raw: string): MathBox => {
+  const negative = raw.startsWith('-');
+  const digits = negative ? raw.slice(1) : raw;
+  const [numerator, denominator] = digits.split('/');
+  const box = denominator === undefined
+    ? number(numerator)
+    : { kind: 'fraction' as const, numerator: number(numerator), denominator: number(denominator) };
+  return negative ? row(operator(MINUS), box) : box;
+}
+
+const callBox = (name: string, args: MathBox[]): MathBox => {
+  if (name === 'sqrt' && args.length === 1) {
+    return { kind: 'root', radicand: args[0] };
+  }
+  if (name === 'abs' && args.length === 1) {
+    return { kind: 'fenced', open: '|', close: '|', content: args[0] };
+  }
+  return row({ kind: 'function', name }, parens(list(...args)));
+}
+
+// a base needs parentheses unless it is a single symbol
+const baseBox = (node: Node) => {
+  const box = toBox(node);
+  const simple = node.type === 'variable'
+    || node.type === 'group'
+    || (node.type === 'number' && !node.raw.includes('/') && !node.raw.startsWith('-'));
+  return simple ? box : parens(box);
+}
+
+export const toBox = (node: Node): MathBox => {
+  switch (node.type) {
+    case 'number':
+      return numberBox(node.raw);
+    case 'variable':
+      return identifier(node.name);
+    case 'call':
+      // the root sign already sets its argument apart, parentheses inside it are redundant
+      return callBox(node.name, node.args.map(arg => toBox(node.name === 'sqrt' ? unwrap(arg) : arg)));
+    case 'group':
+      return parens(toBox(node.expression));
+    case 'unary':
+      return row(operator(MINUS), toBox(node.operand));
+    case 'binary':
+      switch (node.operator) {
+        case '/':
+          return { kind: 'fraction', numerator: toBox(unwrap(node.left)), denominator: toBox(unwrap(node.right)) };
+        case '^':
+          return { kind: 'power', base: baseBox(node.left), exponent: toBox(unwrap(node.right)) };
+        case '*':
+          return node.implicit
+            ? row(toBox(node.left), toBox(node.right))
+            : row(toBox(node.left), operator('·'), toBox(node.right));
+        case '-':
+          return row(toBox(node.left), operator(MINUS), toBox(node.right));
+        default:
+          return row(toBox(node.left), operator(node.operator), toBox(node.right));
+      }
+  }
+}
+
+// scientific output like 1.5e+3 is shown as 1.5 × 10^3
+const decimalBox = (text: string): MathBox => {
+  const [mantissa, exponent] = text.split('e');
+  if (exponent === undefined) {
+    return numberBox(mantissa);
+  }
+  const power = Number(exponent);
+  return row(numberBox(mantissa), operator('×'), { kind: 'power', base: number('10'), exponent: numberBox(String(power)) });
+}
+
+export const valueBox = (value: Value, format: NumberFormat): MathBox => {
+  if (format.notation === 'fraction' && isExact(value)) {
+    return numberBox(value.toString());
+  }
+  return decimalBox(formatNumber(value, format));
+}
+
+// exact equation solutions such as (-3 + √17)/4 are read back with the parser to typeset them
+export const solutionBox = (exact: string): MathBox => {
+  try {
+    return toBox(parse(exact.replace(/√(\d+)/g, 'sqrt($1)')));
+  } catch (error) {
+    // approximations can come in exponent notation, which the parser does not read
+    if (error instanceof SolverError) {
+      return decimalBox(exact);
+    }
+    throw error;
+  }
+}
+
+const escapeXml = (text: string) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+export const toMathML = (box: MathBox): string => {
+  switch (box.kind) {
+    case 'number':
+      return `<mn>${escapeXml(box.text)}</mn>`;
+    case 'identifier':
+      return `<mi>${escapeXml(box.text)}</mi>`;
+    case 'operator':
+      return `<mo>${escapeXml(box.text)}</mo>`;
+    case 'function':
+      return `<mi>${escapeXml(box.name)}</mi><mo>&#x2061;</mo>`;
+    case 'row':
+      return `<mrow>${box.children.map(toMathML).join('')}</mrow>`;
+    case 'fraction':
+      return `<mfrac>${toMathML(box.numerator)}${toMathML(box.denominator)}</mfrac>`;
+    case 'power':
+      return `<msup>${toMathML(box.base)}${toMathML(box.exponent)}</msup>`;
+    case 'root':
+      return `<msqrt>${toMathML(box.radicand)}</msqrt>`;
+    case 'fenced':
+      return `<mrow><mo>${box.open}</mo>${toMathML(box.content)}<mo>${box.close}</mo></mrow>`;
+  }
+}
+
+const LATEX_OPERATORS: Record<string, string> = {
+  [MINUS]: '-',
+  '·': '\\cdot',
+  '×': '\\times',
+  '⇒': '\\Rightarrow',
+};
+
+const LATEX_SYMBOLS: Record<string, string> = {
+  'π': '\\pi',
+};
+
+const LATEX_FUNCTIONS = ['min', 'max'];
+
+// a command like \pi needs a space before a following letter, or it would read as \pix
+const joinLatex = (parts: string[]) => parts.reduce((text, part) => (
+  /\\[A-Za-z]+$/.test(text) && /^[A-Za-z0-9]/.test(part) ? `${text} ${part}` : text + part
+), '');
+
+// an underscore would start a subscript, so names like a_1 keep theirs escaped
+const latexIdentifier = (name: string) => {
+  const escaped = name.replace(/_/g, '\\_');
+  return name.length > 1 ? `\\mathit{${escaped}}` : escaped;
+}
+
+export const toLatex = (box: MathBox): string => {
+  switch (box.kind) {
+    case 'number':
+      return box.text;
+    case 'identifier':
+      return LATEX_SYMBOLS[box.text] ?? latexIdentifier(box.text);
+    case 'operator':
+      return LATEX_OPERATORS[box.text] ?? box.text;
+    case 'function':
+      return LATEX_FUNCTIONS.includes(box.name) ? `\\${box.name}` : `\\operatorname{${box.name}}`;
+    case 'row':
+      return joinLatex(box.children.map(toLatex));
+    case 'fraction':
+      return `\\frac{${toLatex(box.numerator)}}{${toLatex(box.denominator)}}`;
+    case 'power':
+      return `${toLatex(box.base)}^{${toLatex(box.exponent)}}`;
+    case 'root':
+      return `\\sqrt{${toLatex(box.radicand)}}`;
+    case 'fenced':
+      return `\\left${box.open}${toLatex(box.content)}\\right${box.close}`;
+  }
+}
+
+// a complete <math> element, ready to be placed in HTML or copied elsewhere
+export const mathDocument = (box: MathBox, display: 'block' | 'inline' = 'block') => (
+  `<math xmlns="http://www.w3.org/1998/Math/MathML" display="${display}">${toMathML(box)}</math>`
+);
+
@@ -0,0 +1,90 @@
+// numbers the solver computes with: exact fractions, or doubles once a result can only be approximated
+
+import { BIG, isqrt, Rational } from './rational';
+
+export type Value = Rational | number;
+
+// results beyond this many bits fall back to doubles instead of growing without bound
+const MAX_EXACT_BITS = 100_000;
+
+export const isExact = (value: Value): value is Rational => value instanceof Rational;
+
+export const toNumber = (value: Value) => (isExact(value) ? value.toNumber() : value);
+
+const bits = (value: Rational) => Math.max(value.numerator.toString(2).length, value.denominator.toString(2).length);
+
+// a double too large for its range becomes Infinity, which evaluate reports as an overflow
+const bounded = (value: Rational): Value => (bits(value) <= MAX_EXACT_BITS ? value : value.toNumber());
+
+export const sign = (value: Value) => (isExact(value) ? value.sign() : Math.sign(value));
+
+export const isZero = (value: Value) => sign(value) === 0;
+
+export const isInteger = (value: Value) => (isExact(value) ? value.isInteger() : Number.isInteger(value));
+
+export const negate = (value: Value) => (isExact(value) ? value.negate() : -value);
+
+export const add = (left: Value, right: Value) => (
+  isExact(left) && isExact(right) ? bounded(left.add(right)) : toNumber(left) + toNumber(right)
+);
+
+export const subtract = (left: Value, right: Value) => add(left, negate(right));
+
+export const multiply = (left: Value, right: Value) => (
+  isExact(left) && isExact(right) ? bounded(left.multiply(right)) : toNumber(left) * toNumber(right)
+);
+
+// callers check for a zero divisor, doubles would quietly give Infinity
+export const divide = (left: Value, right: Value) => (
+  isExact(left) && isExact(right) ? bounded(left.divide(right)) : toNumber(left) / toNumber(right)
+);
+
+export const power = (base: Value, exponent: Value): Value => {
+  if (isExact(base) && isExact(exponent) && exponent.isInteger() && !(base.isZero() && exponent.sign() < 0)) {
+    if (bits(base) * Math.abs(exponent.toNumber()) <= MAX_EXACT_BITS) {
+      return base.pow(exponent.numerator);
+    }
+  }
+  return toNumber(base) ** toNumber(exponent);
+}
+
+// exact when numerator and denominator are perfect squares, like sqrt(9/4) = 3/2
+export const squareRoot = (value: Value): Value => {
+  if (isExact(value) && value.sign() >= 0) {
+    const numerator = isqrt(value.numerator);
+    const denominator = isqrt(value.denominator);
+    if (numerator * numerator === value.numerator && denominator * denominator === value.denominator) {
+      return new Rational(numerator, denominator);
+    }
+  }
+  return Math.sqrt(toNumber(value));
+}
+
+export const compare = (left: Value, right: Value) => sign(subtract(left, right));
+
+// rounds half away from zero, like Math.round does for positive numbers
+export const roundTo = (value: Value, digits: number): Value => {
+  if (!isExact(value)) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+  const factor = new Rational(BIG.ten).pow(BigInt(digits));
+  const scaled = value.multiply(factor);
+  const half = scaled.numerator * BIG.two + (scaled.sign() < 0 ? -scaled.denominator : scaled.denominator);
+  return new Rational(half / (BIG.two * scaled.denominator)).divide(factor);
+}
+
+// reads a value back from JSON, where exact values are stored as fraction strings
+export const parseValue = (raw: unknown): Value | undefined => {
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? raw : undefined;
+  }
+  if (typeof raw !== 'string') {
+    return undefined;
+  }
+  try {
+    return Rational.fromString(raw);
+  } catch {
+    return undefined;
+  }
+}
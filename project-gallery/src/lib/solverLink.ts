@@ -0,0 +1,59 @@
+// deep links into the term solver page, like /projects/py/term_solver?term=x%5E2%3D2&mode=equation
+
+import { formatNumber, isSolverMode, solve, solveEquation, SolverError, SolverMode } from './solver';
+
+export const SOLVER_PATH = '/projects/py/term_solver';
+
+export interface SolverLink {
+  term?: string;
+  mode: SolverMode;
+}
+
+export const parseSolverLink = (params: URLSearchParams): SolverLink => {
+  const mode = params.get('mode');
+  return {
+    term: params.get('term') ?? undefined,
+    mode: isSolverMode(mode) ? mode : 'evaluate',
+  };
+}
+
+// evaluate is the default mode, so it is left out of the query
+export const serializeSolverLink = ({ term, mode }: SolverLink) => {
+  const params = new URLSearchParams();
+  if (term) {
+    params.set('term', term);
+  }
+  if (mode !== 'evaluate') {
+    params.set('mode', mode);
+  }
+  return params.toString();
+}
+
+export const solverHref = (link: SolverLink) => {
+  const query = serializeSolverLink(link);
+  return query ? `${SOLVER_PATH}?${query}` : SOLVER_PATH;
+}
+
+// a one-line summary such as "1/3+1/6 = 1/2" for link previews, undefined when the term does not solve
+export const describeSolverLink = ({ term, mode }: SolverLink) => {
+  if (!term?.trim()) {
+    return undefined;
+  }
+  try {
+    if (mode === 'equation') {
+      const { equation, variable, kind, solutions } = solveEquation(term);
+      if (kind === 'identity') {
+        return `${equation}: every ${variable} is a solution`;
+      }
+      const answer = solutions.map(({ exact }) => `${variable} = ${exact}`).join(', ');
+      return `${equation}: ${answer || 'no real solution'}`;
+    }
+    const { result } = solve(term);
+    return `${term} = ${formatNumber(result)}`;
+  } catch (error) {
+    if (error instanceof SolverError) {
+      return undefined;
+    }
+    throw error;
+  }
+}